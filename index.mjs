@@ -1,16 +1,138 @@
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { addCommandCommand } from './src/commands/add.mjs';
+import { cacheWarmCommand } from './src/commands/cache.mjs';
 import { createCommand } from './src/commands/create.mjs';
+import {
+  configGetCommand,
+  configListCommand,
+  configSetCommand,
+  configUnsetCommand
+} from './src/commands/config.mjs';
+import { DEFAULT_TEMPLATE } from './src/templates/index.mjs';
+import { configureLogger, logger } from './src/utils/logger.mjs';
+import { DEFAULT_INSTALL_TIMEOUT } from './src/utils/npm.mjs';
+import { PACKAGE_MANAGERS } from './src/utils/package-manager.mjs';
+import { applyRcDefaults, RC_FILE_NAME } from './src/utils/rc.mjs';
 
 const program = new Command();
 
+// Collects repeated option values into a list
+const collect = (value, previous) => previous.concat([value]);
+
+// The longest delay setTimeout() accepts, longer ones fire at once
+const MAX_SECONDS = Math.floor((2 ** 31 - 1) / 1000);
+
+// Parses an option value counting seconds
+const parseSeconds = (value) => {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new InvalidArgumentError('Expected a positive number of seconds.');
+  }
+  if (seconds > MAX_SECONDS) {
+    throw new InvalidArgumentError(`Expected at most ${MAX_SECONDS} seconds.`);
+  }
+  return seconds;
+};
+
+// Options after a subcommand name belong to the subcommand, e.g. cache warm --template
 program
+  .enablePositionalOptions()
   .version('1.0.0')
   .description('Create a new CLI application')
-  .argument('[name]', 'Project name')
+  .argument('[name]', 'Package name, scoped names such as @acme/tool are supported')
   .option('-y, --yes', 'Skip all prompts and use defaults')
+  .option('-c, --config <file>', 'Read prompt answers from a JSON or YAML file and skip all prompts')
+  .option('-s, --set <key=value>', 'Answer a prompt, can be repeated', collect, [])
+  .option('-d, --dir <path>', 'Directory to create the project in, "." for the current directory (default: the unscoped package name)')
+  .option('-t, --template <name|path|url>', 'Bundled template name, path to a template directory, git repository, npm:<package> or tarball', DEFAULT_TEMPLATE)
+  .addOption(new Option('-p, --package-manager <name>', 'Package manager used to install dependencies (default: the one running the generator, or npm)')
+    .choices(Object.keys(PACKAGE_MANAGERS)))
   .option('--no-git', 'Skip git initialization')
+  .option('--initial-branch <name>', 'Name of the initial git branch', 'main')
+  .option('--remote <url>', 'Add the URL as the origin git remote')
+  .option('--commit-message <message>', 'Message of the initial git commit', 'Initial commit')
+  .option('--no-commit', 'Initialize git without committing the generated files')
   .option('--no-install', 'Skip dependency installation')
+  .option('--install-timeout <seconds>', 'Stop the dependency installation after this many seconds', parseSeconds, DEFAULT_INSTALL_TIMEOUT)
+  .option('--verify', 'Run the lint and test scripts of the project after installing its dependencies, rolling it back if one fails')
+  .option('--verbose', 'Stream the package manager output instead of showing a spinner, and print error stack traces')
+  .addOption(new Option('-q, --quiet', 'Only log warnings and errors').conflicts('verbose'))
+  .option('--json', 'Write newline-delimited JSON events to stdout instead of text, implies --yes')
+  .addOption(new Option('--offline', 'Install dependencies from the cache only').conflicts('preferOffline'))
+  .option('--prefer-offline', 'Install dependencies from the cache, fetching only what is missing from it')
+  .option('--cache-dir <path>', 'Cache directory used instead of the package manager\'s own, see cache warm')
+  .option('--merge', 'Add the project to an existing directory, asking how to resolve conflicting files')
+  .option('--force', 'Add the project to an existing directory, overwriting conflicting files')
+  .option('--dry-run', 'Print the files and steps that would be created without writing anything')
   .action(createCommand);
 
-program.parse();
+// Defaults from the user's rc file apply to options not given on the command line
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  configureLogger(actionCommand.optsWithGlobals());
+  if (actionCommand === program) {
+    try {
+      await applyRcDefaults(program);
+    } catch (error) {
+      logger.error(error.message, error);
+      process.exit(1);
+    }
+  }
+});
+
+const config = program
+  .command('config')
+  .description(`Manage the defaults stored in ~/${RC_FILE_NAME}`);
+
+config
+  .command('list')
+  .description('List the stored defaults')
+  .action(configListCommand);
+
+config
+  .command('get')
+  .description('Print a stored default')
+  .argument('<key>', 'Config key')
+  .action(configGetCommand);
+
+config
+  .command('set')
+  .description('Store a default')
+  .argument('<key>', 'Config key: author, email, license, template, packageManager, git or install')
+  .argument('<value>', 'Value, true or false for git and install')
+  .action(configSetCommand);
+
+config
+  .command('unset')
+  .description('Remove a stored default')
+  .argument('<key>', 'Config key')
+  .action(configUnsetCommand);
+
+const cache = program
+  .command('cache')
+  .description('Manage the cache of template dependencies used by offline installs');
+
+cache
+  .command('warm')
+  .description('Fetch the dependencies of the templates into the cache so projects can be created offline')
+  .option('-t, --template <name|path|url>', 'Only cache the dependencies of this template (default: every bundled template)')
+  .addOption(new Option('-p, --package-manager <name>', 'Package manager whose cache is filled (default: the one running the generator, or npm)')
+    .choices(Object.keys(PACKAGE_MANAGERS)))
+  .option('--cache-dir <path>', 'Cache directory used instead of the package manager\'s own')
+  .option('--install-timeout <seconds>', 'Stop each installation after this many seconds', parseSeconds, DEFAULT_INSTALL_TIMEOUT)
+  .option('--verbose', 'Stream the package manager output instead of showing a spinner')
+  .action(cacheWarmCommand);
+
+const add = program
+  .command('add')
+  .description('Add code to a project generated with the cli template');
+
+add
+  .command('command')
+  .description('Add a command module, its test, and register it in index.mjs and the interactive menu')
+  .argument('<name>', 'Command name, lowercase letters, digits and hyphens')
+  .option('--description <text>', 'Description shown in the help (default: "Run the <name> command")')
+  .option('-d, --dir <path>', 'Project directory (default: the current directory)')
+  .action(addCommandCommand);
+
+await program.parseAsync();
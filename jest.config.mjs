@@ -1,6 +1,7 @@
 export default {
   testEnvironment: 'node',
   testMatch: ['**/test/*.test.mjs'],
+  modulePathIgnorePatterns: ['<rootDir>/scaffold/'],
   collectCoverage: true,
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov'],
@@ -0,0 +1,39 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Get directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * A command module of this directory
+ */
+export interface CliCommand {
+  /** The command name, used on the command line and in the menu */
+  name: string;
+  /** The description shown in the help and the menu */
+  description: string;
+  /** Runs the command */
+  action: (...args: unknown[]) => void | Promise<void>;
+}
+
+/**
+ * Loads every command module of this directory
+ *
+ * Each module exports the command `name`, its `description` and its `action`. Adding a module to this directory
+ * adds the command to the command line and to the interactive menu. The modules are the compiled `.js` files once
+ * built and the `.ts` sources when run by the tests.
+ *
+ * @returns The command modules, sorted by name
+ */
+export async function loadCommands(): Promise<CliCommand[]> {
+  const extension = path.extname(__filename);
+  const files = (await readdir(__dirname))
+    .filter(file => file.endsWith(extension) && !file.endsWith('.d.ts') && file !== `index${extension}`);
+  const commands: CliCommand[] = await Promise.all(
+    files.map(file => import(pathToFileURL(path.join(__dirname, file)).href))
+  );
+
+  return commands.sort((a, b) => a.name.localeCompare(b.name));
+}
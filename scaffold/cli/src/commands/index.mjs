@@ -0,0 +1,22 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Get directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Loads every command module of this directory
+ *
+ * Each module exports the command `name`, its `description` and its `action`. Adding a module to this directory
+ * adds the command to the command line and to the interactive menu.
+ *
+ * @returns {Promise<Object[]>} - The command modules, sorted by name
+ */
+export async function loadCommands() {
+  const files = (await readdir(__dirname)).filter(file => file.endsWith('.mjs') && file !== 'index.mjs');
+  const commands = await Promise.all(files.map(file => import(pathToFileURL(path.join(__dirname, file)).href)));
+
+  return commands.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,82 @@
+import fs from 'fs-extra';
+import Handlebars from 'handlebars';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeValue } from '../utils/escape.mjs';
+import { logger } from '../utils/logger.mjs';
+import { COMMANDS_DIR, findCommandRegistry, listCommandModules } from '../utils/readme.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory holding the templates of the files add command generates
+const COMMAND_GENERATOR_DIR = path.resolve(__dirname, '../../generators/command');
+
+// Command names, also used as file names
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Writes text as the lines of a JSDoc block, escaping the `*/` that would end it
+const toJsDoc = text => text.replace(/\*\//g, '*\\/').split(/\r?\n/).join('\n * ').replace(/ +$/gm, '');
+
+/**
+ * Adds a command to a project generated with the cli template
+ *
+ * Creates the command module in src/commands/ and, unless the project was generated without tests, its test in tests/.
+ * The command registry of the project loads the module, so the command is available on the command line and in the
+ * interactive menu without further changes.
+ *
+ * @param {string} name - The command name
+ * @param {Object} options - The command options
+ */
+export async function addCommandCommand(name, options) {
+  try {
+    if (!COMMAND_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid command name "${name}", use lowercase letters, digits and hyphens`);
+    }
+
+    const projectDir = path.resolve(options.dir || process.cwd());
+    const registry = await findCommandRegistry(projectDir);
+    if (!registry) {
+      throw new Error(`No command registry found in ${projectDir}, run add command inside a generated project`);
+    }
+    // The generator templates are JavaScript modules
+    if (registry !== '.mjs') {
+      throw new Error(`add command only supports projects of the cli template, ${projectDir} uses ${registry} modules`);
+    }
+
+    const commands = await listCommandModules(projectDir);
+    if (commands.some(command => command.name === name)) {
+      throw new Error(`Command "${name}" already exists`);
+    }
+
+    const summary = options.description || `Run the ${name} command`;
+    const command = {
+      name,
+      summary: toJsDoc(summary),
+      description: escapeValue(summary, 'js'),
+      // Commander indents the other lines of the description in the help
+      helpLine: escapeValue(summary.split(/\r?\n/)[0], 'js')
+    };
+
+    const files = [{ template: 'command.mjs.template', path: path.join(COMMANDS_DIR, `${name}.mjs`) }];
+    if (await fs.pathExists(path.join(projectDir, 'tests'))) {
+      files.push({ template: 'command.test.mjs.template', path: path.join('tests', `${name}.test.mjs`) });
+    }
+    for (const file of files) {
+      if (await fs.pathExists(path.join(projectDir, file.path))) {
+        throw new Error(`${file.path} already exists`);
+      }
+    }
+
+    for (const file of files) {
+      const template = await fs.readFile(path.join(COMMAND_GENERATOR_DIR, file.template), 'utf8');
+      await fs.outputFile(path.join(projectDir, file.path), Handlebars.compile(template, { noEscape: true })(command));
+      logger.info(`Created ${file.path}`);
+    }
+
+    logger.success(`Added the ${name} command`);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { listTemplates, resolveTemplate } from '../templates/index.mjs';
+import { logger } from '../utils/logger.mjs';
+import { installDependencies } from '../utils/npm.mjs';
+import { resolvePackageManager } from '../utils/package-manager.mjs';
+import { createProgressReporter } from '../utils/progress.mjs';
+import { readRc } from '../utils/rc.mjs';
+
+/**
+ * Fetches the dependencies of the templates into the package manager cache, so projects can be created offline
+ *
+ * The dependencies of each template are installed in a temporary directory, which fills the cache with every
+ * package they need, including the dependencies of dependencies.
+ *
+ * @param {Object} options - The command options
+ */
+export async function cacheWarmCommand(options) {
+  const reporter = createProgressReporter({ verbose: options.verbose, quiet: options.quiet });
+
+  try {
+    const rc = await readRc();
+    const packageManager = resolvePackageManager(options.packageManager || rc.packageManager);
+    const templates = options.template ? [await resolveTemplate(options.template)] : await listTemplates();
+    const cached = [];
+
+    for (const template of templates) {
+      const packageJsonPath = path.join(template.path, 'package.json');
+      if (!await fs.pathExists(packageJsonPath)) {
+        logger.info(`Template ${template.name} has no package.json, nothing to cache`);
+        continue;
+      }
+
+      const { dependencies, devDependencies } = await fs.readJson(packageJsonPath);
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-cli-template-cache-'));
+
+      try {
+        await fs.writeJson(path.join(workDir, 'package.json'), {
+          name: 'cache-warm',
+          private: true,
+          dependencies,
+          devDependencies
+        });
+
+        logger.info(`Caching the dependencies of template ${template.name}`);
+        reporter.onProgress({
+          type: 'step',
+          step: 'install dependencies',
+          status: 'started',
+          message: `Installing dependencies with ${packageManager.name}`
+        });
+        await installDependencies(workDir, packageManager, {
+          timeout: options.installTimeout,
+          cacheDir: options.cacheDir,
+          onLine: (line, stderr) => reporter.onProgress({ type: 'output', line, stderr })
+        });
+        reporter.onProgress({ type: 'step', step: 'install dependencies', status: 'finished' });
+        reporter.onProgress({ type: 'success', message: 'Dependencies installed successfully' });
+      } catch (error) {
+        reporter.stop();
+        throw new Error(`Could not cache the dependencies of template ${template.name}: ${error.message}`, {
+          cause: error
+        });
+      } finally {
+        await fs.remove(workDir);
+      }
+
+      cached.push(template.name);
+    }
+
+    const cache = options.cacheDir ? path.resolve(options.cacheDir) : `the ${packageManager.name} cache`;
+    logger.success(`Cached the dependencies of ${cached.join(', ') || 'no template'} in ${cache}`);
+  } catch (error) {
+    logger.error(error.message, error.cause || error);
+    process.exit(1);
+  }
+}
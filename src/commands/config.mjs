@@ -0,0 +1,74 @@
+import { assertRcKey, getRcPath, parseRcValue, readRc, writeRc, RC_KEYS } from '../utils/rc.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Lists the defaults stored in the rc file
+ */
+export async function configListCommand() {
+  try {
+    const rc = await readRc();
+    for (const key of Object.keys(RC_KEYS)) {
+      if (rc[key] !== undefined) {
+        console.log(`${key}=${rc[key]}`);
+      }
+    }
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Prints a default stored in the rc file, exiting with 1 when it is not set
+ *
+ * @param {string} key - The rc key
+ */
+export async function configGetCommand(key) {
+  try {
+    assertRcKey(key);
+    const rc = await readRc();
+    if (rc[key] === undefined) {
+      process.exit(1);
+    }
+    console.log(String(rc[key]));
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Stores a default in the rc file
+ *
+ * @param {string} key - The rc key
+ * @param {string} value - The value as text
+ */
+export async function configSetCommand(key, value) {
+  try {
+    const rc = await readRc();
+    rc[key] = parseRcValue(key, value);
+    await writeRc(rc);
+    logger.success(`Set ${key} in ${getRcPath()}`);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Removes a default from the rc file
+ *
+ * @param {string} key - The rc key
+ */
+export async function configUnsetCommand(key) {
+  try {
+    assertRcKey(key);
+    const rc = await readRc();
+    delete rc[key];
+    await writeRc(rc);
+    logger.success(`Unset ${key} in ${getRcPath()}`);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
@@ -1,64 +1,180 @@
 import path from 'path';
 import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
 import { getProjectInfo } from '../prompts/index.mjs';
-import { copyTemplate } from '../utils/fs.mjs';
-import { initGit } from '../utils/git.mjs';
-import { installDependencies, updatePackageJson } from '../utils/npm.mjs';
-import { logger } from '../utils/logger.mjs';
+import { askConflictResolution } from '../prompts/conflicts.mjs';
+import { createProject } from '../project/index.mjs';
+import { resolveTemplate } from '../templates/index.mjs';
+import { VERIFY_SCRIPTS } from '../utils/npm.mjs';
+import { getInstallCommand, resolvePackageManager } from '../utils/package-manager.mjs';
+import { isJsonOutput, logger } from '../utils/logger.mjs';
+import { formatFileTree, formatSize } from '../utils/plan.mjs';
+import { COMMAND_STEPS, createProgressReporter } from '../utils/progress.mjs';
+import { AbortError, DirectoryNotEmptyError, StepError } from '../errors.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Signals that abort the generation, with the exit code used for each
+const SIGNALS = { SIGINT: 130, SIGTERM: 143 };
 
 export async function createCommand(name, options) {
-  try {
-    // Get project information
-    const projectInfo = await getProjectInfo(name, options);
-    const targetDir = path.resolve(process.cwd(), projectInfo.name);
+  // JSON output cannot be mixed with prompts
+  if (options.json) {
+    options = { ...options, yes: true };
+  }
 
-    // Check if directory exists
-    if (fs.existsSync(targetDir)) {
-      const isEmpty = fs.readdirSync(targetDir).length === 0;
+  const reporter = createProgressReporter({ verbose: options.verbose, quiet: options.quiet });
+  const controller = new AbortController();
+  const onSignal = signal => controller.abort(signal);
+  let displayDir;
+  let merging = false;
 
-      if (!isEmpty) {
-        logger.error(`Directory ${projectInfo.name} already exists and is not empty.`);
-      } else {
-        logger.error(`Directory ${projectInfo.name} already exists.`);
-      }
-      process.exit(1);
+  try {
+    // Resolve the template before prompting so an unknown template fails fast
+    const template = await resolveTemplate(options.template);
+
+    // Choose the package manager before prompting so offline installs it cannot run fail fast
+    const packageManager = resolvePackageManager(options.packageManager, { lockfile: options.install !== false });
+    if (options.install !== false) {
+      getInstallCommand(packageManager, options);
     }
 
-    // Create project directory
-    await fs.ensureDir(targetDir);
+    // Get project information
+    const { bin, email, ...answers } = await getProjectInfo(name, options, template);
+
+    // The directory defaults to the unscoped package name, --dir . generates into the current directory
+    const targetDir = path.resolve(process.cwd(), options.dir || bin);
+    displayDir = path.relative(process.cwd(), targetDir) || '.';
+    merging = fs.existsSync(targetDir);
 
-    // Copy template files from scaffold directory
-    const templatePath = path.resolve(__dirname, '../../scaffold');
-    await copyTemplate(templatePath, targetDir, projectInfo);
+    // Interrupting the generation rolls it back
+    Object.keys(SIGNALS).forEach(signal => process.on(signal, onSignal));
 
-    // Update package.json with project information
-    await updatePackageJson(targetDir, projectInfo);
+    const result = await createProject({
+      answers,
+      email,
+      template,
+      packageManager: packageManager.name,
+      dir: targetDir,
+      install: options.install !== false,
+      installTimeout: options.installTimeout,
+      offline: options.offline,
+      preferOffline: options.preferOffline,
+      cacheDir: options.cacheDir,
+      verify: options.verify,
+      git: options.git !== false,
+      initialBranch: options.initialBranch,
+      remote: options.remote,
+      commit: options.commit !== false,
+      commitMessage: options.commitMessage,
+      merge: options.merge,
+      force: options.force,
+      dryRun: options.dryRun,
+      // Without prompts (--yes or --config) conflicting files are skipped, otherwise the user is asked for each file
+      onConflict: options.yes || options.config ? undefined : askConflictResolution,
+      signal: controller.signal,
+      onProgress: reporter.onProgress
+    });
 
-    // Initialize git repository
-    if (options.git !== false) {
-      await initGit(targetDir);
+    // Preview the generation without touching disk
+    if (result.dryRun) {
+      if (isJsonOutput()) {
+        logger.event('plan', {
+          dir: result.dir,
+          files: result.files.map(file => ({ path: file.path, action: file.action, size: file.size })),
+          steps: result.steps,
+          warnings: result.warnings
+        });
+      } else {
+        printDryRun(result, template, displayDir, packageManager, options);
+      }
+      return;
     }
 
-    // Install dependencies
-    if (options.install !== false) {
-      await installDependencies(targetDir);
+    if (isJsonOutput()) {
+      logger.event('result', {
+        dir: result.dir,
+        name: result.answers.name,
+        template: result.template,
+        packageManager: result.packageManager,
+        files: result.files.map(file => file.path),
+        conflicts: result.conflicts,
+        steps: result.steps,
+        verification: result.verification,
+        warnings: result.warnings
+      });
+      return;
     }
 
     // Display success message
+    const { link, start } = packageManager;
+    const width = Math.max(link.length, start.length);
+    const cdStep = displayDir === '.' ? '' : `$ cd ${displayDir}\n`;
     logger.success(`
-CLI application ${projectInfo.name} created successfully!
+CLI application ${result.answers.name} created successfully!
 
 Next steps:
-$ cd ${projectInfo.name}
-$ npm link    # To make the CLI available globally
-$ npm start   # To run the CLI
+${cdStep}$ ${link.padEnd(width)}   # To make the CLI available globally
+$ ${start.padEnd(width)}   # To run the CLI
 `);
   } catch (error) {
-    logger.error('Failed to create project:', error);
+    reporter.stop();
+    if (error instanceof AbortError) {
+      logger.error(`Interrupted, removed ${merging ? `the files generated in ${displayDir}` : displayDir}`, error);
+      process.exit(SIGNALS[error.reason] || 1);
+    } else if (error instanceof DirectoryNotEmptyError) {
+      logger.error(`Directory ${error.dir} already exists and is not empty. ` +
+        'Use --merge to add the project to it or --force to overwrite conflicting files.', error);
+    } else if (error instanceof StepError) {
+      if (COMMAND_STEPS.includes(error.step) && error.cause && !isJsonOutput()) {
+        logger.error(`Failed to ${error.step}: ${error.cause.message}`, error.cause);
+      }
+      logger.error(`Failed to create project: ${error.message}. All changes were rolled back.`, error);
+      if (error.step === 'install dependencies' && options.offline) {
+        logger.info('Run "create-cli-template cache warm" while online to cache the dependencies of the templates.');
+      }
+    } else {
+      logger.error(`Failed to create project: ${error.message}`, error);
+    }
     process.exit(1);
+  } finally {
+    Object.keys(SIGNALS).forEach(signal => process.off(signal, onSignal));
   }
 }
+
+/**
+ * Prints the files and steps create would produce
+ *
+ * @param {Object} result - The dry run result of createProject()
+ * @param {Object} template - The template resolved from the registry
+ * @param {string} displayDir - The project directory relative to the current directory
+ * @param {Object} packageManager - The package manager from getPackageManager()
+ * @param {Object} options - The command options
+ */
+function printDryRun(result, template, displayDir, packageManager, options) {
+  const totalSize = result.files.reduce((total, file) => total + file.size, 0);
+
+  logger.info(`Dry run: no files will be written. Template "${template.name}" would create ${result.dir}`);
+  console.log();
+  console.log(formatFileTree(result.files, path.basename(result.dir)));
+  console.log();
+  console.log(`${result.files.length} files, ${formatSize(totalSize)}`);
+
+  const steps = ['Update package.json with project information'];
+  if (result.steps.includes('install dependencies')) {
+    steps.push(`Install dependencies: ${getInstallCommand(packageManager, options).join(' ')}`);
+  }
+  if (result.steps.includes('verify project')) {
+    steps.push(`Verify the project: ${VERIFY_SCRIPTS.map(script => `${packageManager.run} ${script}`).join(', ')}`);
+  }
+  if (result.steps.includes('initialize git repository')) {
+    steps.push(`Initialize git repository: git init, on branch ${options.initialBranch}`);
+    if (options.remote) {
+      steps.push(`Add remote: git remote add origin ${options.remote}`);
+    }
+    if (options.commit !== false) {
+      steps.push(`Create the initial commit: git commit -m "${options.commitMessage}"`);
+    }
+  }
+
+  console.log();
+  console.log('Steps:');
+  steps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
+}
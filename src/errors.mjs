@@ -0,0 +1,104 @@
+/**
+ * Raised when a step of the project generation fails
+ */
+export class StepError extends Error {
+  /**
+   * @param {string} step - The name of the step that failed
+   * @param {Error} [cause] - The underlying error, if any
+   */
+  constructor(step, cause) {
+    super(cause ? `Step "${step}" failed: ${cause.message}` : `Step "${step}" failed`, { cause });
+    this.name = 'StepError';
+    this.code = 'STEP_FAILED';
+    this.step = step;
+  }
+}
+
+/**
+ * Raised when answers given without prompting are missing or invalid
+ */
+export class AnswersError extends Error {
+  /**
+   * @param {string[]} problems - One description per missing or invalid answer
+   */
+  constructor(problems) {
+    super(`Missing or invalid answers:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'AnswersError';
+    this.code = 'INVALID_ANSWERS';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Raised when an option is invalid or cannot be used together with the others, such as an unknown package manager
+ */
+export class InvalidOptionsError extends Error {
+  /**
+   * @param {string} message - What is wrong with the options
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidOptionsError';
+    this.code = 'INVALID_OPTIONS';
+  }
+}
+
+/**
+ * Raised when a template cannot be resolved or its manifest is invalid
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - What is wrong with the template
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = 'INVALID_TEMPLATE';
+  }
+}
+
+/**
+ * Raised when the project directory already has files and merging into it was not asked for
+ */
+export class DirectoryNotEmptyError extends Error {
+  /**
+   * @param {string} dir - The project directory
+   */
+  constructor(dir) {
+    super(`Directory ${dir} already exists and is not empty`);
+    this.name = 'DirectoryNotEmptyError';
+    this.code = 'DIRECTORY_NOT_EMPTY';
+    this.dir = dir;
+  }
+}
+
+/**
+ * Raised when a command run for the project, such as the dependency installation, fails or times out
+ */
+export class CommandError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string[]} [output] - The last lines of the command's error output
+   */
+  constructor(message, output = []) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = 'COMMAND_FAILED';
+    this.output = output;
+  }
+}
+
+/**
+ * Raised when the project generation is aborted through its AbortSignal, after the changes were rolled back
+ */
+export class AbortError extends Error {
+  /**
+   * @param {*} [reason] - The abort reason, e.g. the signal that interrupted the CLI
+   */
+  constructor(reason) {
+    super('The project generation was aborted');
+    this.name = 'AbortError';
+    this.code = 'ABORTED';
+    this.reason = reason;
+  }
+}
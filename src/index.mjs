@@ -1,2 +1,13 @@
 // Main module exports
 export { createCommand } from './commands/create.mjs';
+export { createProject } from './project/index.mjs';
+export { listTemplates, resolveTemplate } from './templates/index.mjs';
+export {
+  AbortError,
+  AnswersError,
+  CommandError,
+  DirectoryNotEmptyError,
+  InvalidOptionsError,
+  StepError,
+  TemplateError
+} from './errors.mjs';
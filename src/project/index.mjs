@@ -0,0 +1,331 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { askQuestions } from '../prompts/index.mjs';
+import { getProjectQuestions } from '../prompts/questions.mjs';
+import { DEFAULT_TEMPLATE, resolveTemplate } from '../templates/index.mjs';
+import { copyTemplate, planTemplate } from '../utils/fs.mjs';
+import { initGit } from '../utils/git.mjs';
+import { findConflicts, resolveConflict, KEEP_BOTH_SUFFIX } from '../utils/merge.mjs';
+import { getUnscopedName, installDependencies, updatePackageJson, verifyProject } from '../utils/npm.mjs';
+import { getInstallCommand, resolvePackageManager } from '../utils/package-manager.mjs';
+import { createTransaction } from '../utils/transaction.mjs';
+import { DirectoryNotEmptyError, InvalidOptionsError } from '../errors.mjs';
+
+/**
+ * Generates a project from a template, without prompting, logging or exiting
+ *
+ * The answers are validated like answers given with --config: defaults fill the questions left unanswered, and
+ * unknown, invalid or missing required answers fail with an AnswersError. The project is generated in a staging
+ * directory and every change is rolled back when a step fails, failing with a StepError, or when the signal aborts,
+ * failing with an AbortError.
+ *
+ * Progress is reported to `onProgress` as events with a `type`:
+ * - `step` - A step starts or ends, with the `step` name, its `status` ('started' or 'finished') and, when it
+ *   starts, a human-readable `message`
+ * - `file` - A file was generated, with its `path` and `action` ('render', 'copy' or 'link')
+ * - `conflict` - A file collided with an existing one, with its `path`, `resolution` and a `message`
+ * - `output` - A `line` of the installation output, and whether it was written to `stderr`
+ * - `info`, `success` and `warning` - A `message` about the outcome of a step
+ *
+ * @param {Object} options - The options
+ * @param {Object} options.answers - The answers to the project and template questions, at least the package `name`
+ * @param {string} [options.email] - The author email, used for the initial commit
+ * @param {string|Object} [options.template] - Bundled template name, template directory path, remote template (see
+ *   parseTemplateSource()) or resolved template
+ * @param {string} [options.dir] - Directory to create the project in (default: the unscoped package name)
+ * @param {string} [options.cwd] - Directory relative paths are resolved against (default: the current directory)
+ * @param {string} [options.packageManager] - npm, pnpm, yarn or bun (default: the one running the process, or npm)
+ * @param {boolean} [options.install] - Whether to install the dependencies (default: true)
+ * @param {number} [options.installTimeout] - Seconds allowed for the installation
+ * @param {boolean} [options.offline] - Install from the cache only
+ * @param {boolean} [options.preferOffline] - Install from the cache, fetching what is missing from it
+ * @param {string} [options.cacheDir] - Cache directory used instead of the package manager's own
+ * @param {boolean} [options.verify] - Run the lint and test scripts of the project once its dependencies are
+ *   installed, failing with a StepError when one of them fails
+ * @param {boolean} [options.git] - Whether to initialize a git repository (default: true)
+ * @param {string} [options.initialBranch] - Name of the initial git branch (default: main)
+ * @param {string} [options.remote] - URL added as the origin remote
+ * @param {boolean} [options.commit] - Whether to commit the generated files (default: true)
+ * @param {string} [options.commitMessage] - Message of the initial commit (default: Initial commit)
+ * @param {boolean} [options.merge] - Add the project to an existing, non-empty directory
+ * @param {boolean} [options.force] - Add the project to an existing directory, overwriting conflicting files
+ * @param {Function} [options.onConflict] - Called with each conflict when merging, returns the resolution
+ *   ('overwrite', 'skip' or 'keep-both'); conflicting files are skipped without it
+ * @param {boolean} [options.dryRun] - Plan the project without touching disk
+ * @param {AbortSignal} [options.signal] - Aborts the generation and rolls it back
+ * @param {Function} [options.onProgress] - Called with each progress event
+ * @returns {Promise<Object>} - The result, with the project `dir`, the `answers`, the `template` and
+ *   `packageManager` names, the generated `files` (see planTemplate()), the `conflicts` and their resolution, the
+ *   names of the `steps` run (or that would run in a dry run), the `warnings`, the `verification` result of each
+ *   script (see verifyProject()) and whether it was a `dryRun`
+ */
+export async function createProject(options) {
+  const {
+    cwd = process.cwd(),
+    install = true,
+    git = true,
+    initialBranch = 'main',
+    commit = true,
+    commitMessage = 'Initial commit',
+    signal,
+    onProgress = () => {}
+  } = options;
+
+  const template = typeof options.template === 'object'
+    ? options.template
+    : await resolveTemplate(options.template || DEFAULT_TEMPLATE, cwd);
+
+  const packageManager = resolvePackageManager(options.packageManager, { lockfile: install });
+  if (install) {
+    getInstallCommand(packageManager, options);
+  }
+
+  const questions = [...getProjectQuestions({}), ...template.prompts];
+  const answers = await askQuestions(questions, { answers: options.answers || {}, interactive: false });
+  const projectInfo = { ...answers, bin: getUnscopedName(answers.name), email: options.email || '', packageManager };
+
+  const dir = path.resolve(cwd, options.dir || projectInfo.bin);
+  const displayDir = path.relative(cwd, dir) || '.';
+
+  // The project directory, or the closest of its parents that exists, must be a directory
+  let existingPath = dir;
+  while (!fs.existsSync(existingPath)) {
+    existingPath = path.dirname(existingPath);
+  }
+  if (!fs.statSync(existingPath).isDirectory()) {
+    throw new InvalidOptionsError(
+      `Cannot create the project in ${displayDir}, ${path.relative(cwd, existingPath) || '.'} is not a directory`
+    );
+  }
+  const exists = existingPath === dir && fs.readdirSync(dir).length > 0;
+  const merge = options.merge || options.force;
+
+  const result = {
+    dir,
+    answers,
+    template: template.name,
+    packageManager: packageManager.name,
+    files: [],
+    conflicts: [],
+    steps: [],
+    warnings: [],
+    verification: [],
+    dryRun: Boolean(options.dryRun)
+  };
+
+  const report = (event) => {
+    if (event.type === 'warning') {
+      result.warnings.push(event.message);
+    }
+    onProgress(event);
+  };
+
+  const steps = ['copy template', 'update package.json'];
+  if (exists) {
+    steps.push('resolve conflicts');
+  }
+  if (install) {
+    steps.push('install dependencies');
+  }
+  if (options.verify && install) {
+    steps.push('verify project');
+  }
+  if (git) {
+    steps.push('initialize git repository');
+  }
+
+  // The scripts need the dependencies
+  if (options.verify && !install) {
+    report({ type: 'warning', message: 'Skipped the verification, it needs the dependencies to be installed' });
+  }
+
+  // Preview the generation without touching disk
+  if (options.dryRun) {
+    if (exists) {
+      report({
+        type: 'warning',
+        message: merge
+          ? `Directory ${displayDir} already exists, the files would be merged into it.`
+          : `Directory ${displayDir} already exists and is not empty, create would fail.`
+      });
+    }
+    result.files = await planTemplate(template, projectInfo);
+    result.steps = steps;
+    return result;
+  }
+
+  // An existing directory must be empty unless merging into it was asked for
+  if (exists && !merge) {
+    throw new DirectoryNotEmptyError(displayDir);
+  }
+
+  // Generate the project in a staging directory, moved into place once every step succeeded
+  const transaction = await createTransaction(dir, { signal });
+  let workDir = transaction.stagingDir;
+
+  const run = async (step, message, action) => {
+    report({ type: 'step', step, status: 'started', message });
+    const value = await transaction.run(step, action);
+    result.steps.push(step);
+    report({ type: 'step', step, status: 'finished' });
+    return value;
+  };
+
+  try {
+    // Copy template files from the selected template
+    result.files = await run('copy template', 'Copying the template files', async () => {
+      const files = await copyTemplate(template, workDir, projectInfo);
+      files.forEach(file => report({ type: 'file', path: file.path, action: file.action }));
+      return files;
+    });
+
+    // Update package.json with project information
+    await run('update package.json', 'Updating package.json',
+      () => updatePackageJson(workDir, projectInfo, template.entry));
+    report({ type: 'success', message: 'Updated package.json with project information' });
+
+    // Existing directories receive the files before npm and git run, as their content is not staged
+    if (transaction.merging) {
+      result.conflicts = await run('resolve conflicts', 'Resolving conflicting files',
+        () => resolveConflicts(workDir, dir, options, report));
+      await transaction.commit();
+      workDir = dir;
+    }
+
+    // Install dependencies
+    if (install) {
+      await run('install dependencies', `Installing dependencies with ${packageManager.name}`,
+        () => installDependencies(workDir, packageManager, {
+          timeout: options.installTimeout,
+          offline: options.offline,
+          preferOffline: options.preferOffline,
+          cacheDir: options.cacheDir,
+          signal,
+          onLine: (line, stderr) => report({ type: 'output', line, stderr })
+        }));
+      report({ type: 'success', message: 'Dependencies installed successfully' });
+    }
+
+    // Run the lint and test scripts before committing, so a broken project is rolled back
+    if (options.verify && install) {
+      result.verification = await run('verify project', 'Verifying the project with its lint and test scripts',
+        () => verifyProject(workDir, packageManager, {
+          signal,
+          onLine: (line, stderr) => report({ type: 'output', line, stderr }),
+          onScript: script => reportVerification(script, packageManager, report)
+        }));
+    }
+
+    // Initialize git repository once the lockfile exists, so the initial commit includes it
+    if (git) {
+      const author = { name: answers.author, email: projectInfo.email };
+      const status = await run('initialize git repository', 'Initializing the git repository',
+        () => initGit(workDir, {
+          initialBranch,
+          remote: options.remote,
+          commitMessage: commit && commitMessage,
+          author,
+          signal
+        }));
+      reportGitStatus(status, commit, author, report);
+    }
+
+    if (!transaction.merging) {
+      await transaction.commit();
+    }
+    await transaction.finish();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the generated files colliding with existing files of the target directory
+ *
+ * With `force` every conflicting file is overwritten, otherwise `onConflict` chooses the resolution of each file,
+ * and conflicting files are skipped without it.
+ *
+ * @param {string} stagingDir - The directory holding the generated project
+ * @param {string} targetDir - The existing project directory
+ * @param {Object} options - The createProject() options
+ * @param {Function} report - Reports a progress event
+ * @returns {Promise<Object[]>} - The conflicts, each with its `path` and `resolution`
+ */
+async function resolveConflicts(stagingDir, targetDir, options, report) {
+  const conflicts = await findConflicts(stagingDir, targetDir);
+  const resolved = [];
+
+  for (const conflict of conflicts) {
+    let resolution;
+    if (options.force) {
+      resolution = 'overwrite';
+    } else if (options.onConflict) {
+      resolution = await options.onConflict(conflict);
+    } else {
+      resolution = 'skip';
+    }
+
+    await resolveConflict(conflict, resolution);
+    resolved.push({ path: conflict.path, resolution });
+
+    let message;
+    if (resolution === 'overwrite') {
+      message = `Overwrote ${conflict.path}`;
+    } else if (resolution === 'skip') {
+      message = `Kept existing ${conflict.path}`;
+    } else {
+      message = `Kept existing ${conflict.path}, generated file written to ${conflict.path}${KEEP_BOTH_SUFFIX}`;
+    }
+    report({ type: 'conflict', path: conflict.path, resolution, message });
+  }
+
+  return resolved;
+}
+
+/**
+ * Reports the outcome of a script run to verify the project, see verifyProject()
+ *
+ * @param {Object} result - The result of the script, with its `script` name, `status` and `error`
+ * @param {Object} packageManager - The package manager from getPackageManager()
+ * @param {Function} report - Reports a progress event
+ */
+function reportVerification(result, packageManager, report) {
+  const command = `${packageManager.run} ${result.script}`;
+
+  if (result.status === 'passed') {
+    report({ type: 'success', message: `${command} passed` });
+  } else if (result.status === 'skipped') {
+    report({ type: 'info', message: `No ${result.script} script, skipped ${command}` });
+  } else {
+    report({ type: 'warning', message: `${command} failed` });
+  }
+}
+
+/**
+ * Reports what the git step did, see initGit()
+ *
+ * @param {Object} status - Whether the repository was `initialized` and the initial commit `committed`
+ * @param {boolean} commit - Whether the initial commit was asked for
+ * @param {Object} author - The author of the initial commit, with its `name` and `email`
+ * @param {Function} report - Reports a progress event
+ */
+function reportGitStatus(status, commit, author, report) {
+  if (!status.initialized) {
+    report({ type: 'info', message: 'The project is inside a git repository, skipped git initialization' });
+    return;
+  }
+
+  report({ type: 'success', message: 'Initialized git repository' });
+  if (status.committed) {
+    report({ type: 'success', message: 'Created the initial commit' });
+  } else if (commit && (!author.name || !author.email)) {
+    report({
+      type: 'warning',
+      message: 'Skipped the initial commit, no author name and email are known. ' +
+        'Set them with git config --global user.name and user.email.'
+    });
+  }
+}
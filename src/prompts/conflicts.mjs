@@ -0,0 +1,32 @@
+import { select } from '@inquirer/prompts';
+import { formatFileDiff } from '../utils/diff.mjs';
+
+/**
+ * Asks how to resolve a generated file colliding with an existing one
+ *
+ * Showing the diff prints the changes between the existing and the generated file, then asks again.
+ *
+ * @param {Object} conflict - The conflict from findConflicts()
+ * @returns {Promise<string>} - 'overwrite', 'skip' or 'keep-both'
+ */
+export async function askConflictResolution(conflict) {
+  let resolution;
+
+  do {
+    resolution = await select({
+      message: `${conflict.path} already exists. What would you like to do?`,
+      choices: [
+        { value: 'overwrite', name: 'Overwrite with the generated file' },
+        { value: 'skip', name: 'Skip, keep the existing file' },
+        { value: 'diff', name: 'Show diff' },
+        { value: 'keep-both', name: 'Keep both, write the generated file with a .new suffix' }
+      ]
+    });
+
+    if (resolution === 'diff') {
+      console.log(await formatFileDiff(conflict.existing, conflict.staged));
+    }
+  } while (resolution === 'diff');
+
+  return resolution;
+}
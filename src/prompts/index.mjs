@@ -1,65 +1,261 @@
-import { input, select } from '@inquirer/prompts';
+import { input, select, confirm, checkbox } from '@inquirer/prompts';
+import Handlebars from 'handlebars';
 import { getGitUser } from '../utils/git.mjs';
+import { getUnscopedName } from '../utils/npm.mjs';
+import { loadAnswersFile, parseSetOptions } from '../utils/answers.mjs';
+import { readRc } from '../utils/rc.mjs';
+import { AnswersError, TemplateError } from '../errors.mjs';
+import { getProjectQuestions } from './questions.mjs';
 
-export async function getProjectInfo(name, options) {
-  // Get git user info for defaults
+// Question types a template manifest can declare
+export const QUESTION_TYPES = ['input', 'select', 'confirm', 'checkbox'];
+
+export async function getProjectInfo(name, options, template) {
+  // Get user defaults from the rc file, falling back to git user info
+  const rc = await readRc();
   const gitUser = await getGitUser();
+  const author = rc.author || gitUser.name;
+  const email = rc.email || gitUser.email;
 
-  // Use defaults if --yes flag is provided
-  if (options.yes) {
-    const directoryName = name || 'cli-app';
-    return {
-      name: directoryName, // package/directory name
-      title: directoryName.charAt(0).toUpperCase() + directoryName.slice(1).replace(/-/g, ' '), // Human readable title
-      description: '',
-      author: gitUser.name,
-      license: 'MIT',
-      email: gitUser.email
-    };
-  }
-
-  // Prompt for project directory/package name if not provided
-  const packageName = name || await input({
-    message: 'Package/directory name:',
-    validate: (value) => /^[a-zA-Z0-9-_]+$/.test(value) || 'Invalid package name (use lowercase with hyphens)'
-  });
+  const questions = getProjectQuestions({ author, license: rc.license });
+  for (const question of template.prompts) {
+    if (questions.some(existing => existing.name === question.name)) {
+      throw new TemplateError(`Template ${template.name} declares a prompt "${question.name}" that is already asked`);
+    }
+    questions.push(question);
+  }
 
-  // Default title is the package name with first letter capitalized and hyphens replaced with spaces
-  const defaultTitle = packageName.charAt(0).toUpperCase() + packageName.slice(1).replace(/-/g, ' ');
+  // Answers can come from a --config file, --set options and the package name argument, in increasing priority
+  const answers = {
+    ...(options.config ? await loadAnswersFile(options.config) : {}),
+    ...parseSetOptions(options.set)
+  };
+  if (name) {
+    answers.name = name;
+  } else if (options.yes && !answers.name) {
+    answers.name = 'cli-app';
+  }
 
-  // Prompt for human-readable title
-  const title = await input({
-    message: 'Human-readable title:',
-    default: defaultTitle
-  });
+  // Use defaults if --yes flag or an answers file is provided
+  const projectInfo = await askQuestions(questions, { answers, interactive: !options.yes && !options.config });
 
-  // Prompt for additional info
-  const description = await input({
-    message: 'Project description:'
-  });
+  return {
+    ...projectInfo,
+    bin: getUnscopedName(projectInfo.name), // command name
+    email
+  };
+}
 
-  const author = await input({
-    message: 'Author:',
-    default: gitUser.name
-  });
+/**
+ * Asks a list of declarative questions and collects the answers
+ *
+ * A question has a `name`, a `type` (input, select, confirm or checkbox) and a `message`, and optionally:
+ * - `default`: a value, a Handlebars string rendered with the previous answers, or a function of the answers
+ * - `choices`: the values or `{ value, name }` objects offered by select and checkbox questions
+ * - `validate`: a regular expression string, `{ pattern, message }` or a function returning true or an error message
+ * - `when`: an object of answers the question depends on, or a function of the answers returning a boolean, see
+ *   matchesWhen()
+ * - `required`: whether an empty answer is rejected when not prompting
+ *
+ * Known answers are validated with the same rules as prompted ones. Any unknown, invalid or, when not prompting,
+ * missing required answer fails with an AnswersError listing every problem.
+ *
+ * @param {Object[]} questions - The questions to ask, in order
+ * @param {Object} [options] - Options
+ * @param {Object} [options.answers] - Answers already known, their questions are not asked
+ * @param {boolean} [options.interactive] - Whether to prompt, when false every question takes its default
+ * @returns {Promise<Object>} - The answers keyed by question name
+ */
+export async function askQuestions(questions, { answers = {}, interactive = true } = {}) {
+  const problems = [];
+  const known = {};
+
+  for (const [name, value] of Object.entries(answers)) {
+    const question = questions.find(candidate => candidate.name === name);
+    if (!question) {
+      problems.push(`${name}: unknown question`);
+      continue;
+    }
+
+    known[name] = coerceAnswer(question, value);
+    const valid = validateAnswer(question, known[name]);
+    if (valid !== true) {
+      problems.push(`${name}: ${JSON.stringify(value)} is invalid, ${valid}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new AnswersError(problems);
+  }
+
+  const result = {};
+
+  for (const question of questions) {
+    if (!matchesWhen(question.when, result)) {
+      continue;
+    }
+
+    if (question.name in known) {
+      result[question.name] = known[question.name];
+    } else if (interactive) {
+      result[question.name] = await prompt(question, resolveDefault(question, result));
+    } else {
+      result[question.name] = resolveDefault(question, result);
+      if (question.required && isEmpty(result[question.name])) {
+        problems.push(`${question.name}: missing, no answer given`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new AnswersError(problems);
+  }
+
+  return result;
+}
+
+/**
+ * Validates an answer against the validation rule of its question
+ *
+ * @param {Object} question - The question
+ * @param {*} value - The answer
+ * @returns {boolean|string} - True if valid, otherwise the error message
+ */
+export function validateAnswer(question, value) {
+  const rule = question.validate;
+
+  if (question.type === 'confirm' && typeof value !== 'boolean') {
+    return 'must be true or false';
+  }
+
+  if (question.choices) {
+    const values = normalizeChoices(question.choices).map(choice => choice.value);
+    const selected = question.type === 'checkbox' ? value : [value];
+    if (!Array.isArray(selected) || selected.some(item => !values.includes(item))) {
+      return `must be ${question.type === 'checkbox' ? 'a list of' : 'one of'} ${values.join(', ')}`;
+    }
+  }
+
+  if (!rule) {
+    return true;
+  }
+
+  if (typeof rule === 'function') {
+    return rule(value);
+  }
+
+  const { pattern, message } = typeof rule === 'string' ? { pattern: rule } : rule;
+  return new RegExp(pattern).test(String(value)) || message || `"${value}" does not match ${pattern}`;
+}
+
+/**
+ * Converts an answer given as text, e.g. with --set, to the type of its question
+ *
+ * @param {Object} question - The question
+ * @param {*} value - The answer
+ * @returns {*} - The answer as a boolean for confirm questions and a list for checkbox questions
+ */
+function coerceAnswer(question, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (question.type === 'confirm' && ['true', 'yes', 'false', 'no'].includes(value.toLowerCase())) {
+    return ['true', 'yes'].includes(value.toLowerCase());
+  }
+
+  if (question.type === 'checkbox') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Checks the answers against a `when` condition of a question or a template rule
+ *
+ * Each answer named by the condition must equal its expected value, or one of them when a list is expected. The
+ * answers of checkbox questions match when one of the selected values does, e.g. `{ features: "ci" }`.
+ *
+ * @param {Object|Function} [when] - The expected answers by name, or a function of the answers returning a boolean
+ * @param {Object} answers - The answers
+ * @returns {boolean} - Whether the answers match, true without a condition
+ */
+export function matchesWhen(when, answers) {
+  if (when === undefined) {
+    return true;
+  }
+
+  if (typeof when === 'function') {
+    return Boolean(when(answers));
+  }
 
-  const license = await select({
-    message: 'License:',
-    choices: [
-      { value: 'MIT', name: 'MIT' },
-      { value: 'ISC', name: 'ISC' },
-      { value: 'Apache-2.0', name: 'Apache 2.0' },
-      { value: 'GPL-3.0', name: 'GPL 3.0' }
-    ],
-    default: 'MIT'
+  return Object.entries(when).every(([name, expected]) => {
+    const expectedValues = Array.isArray(expected) ? expected : [expected];
+    const values = Array.isArray(answers[name]) ? answers[name] : [answers[name]];
+    return values.some(value => expectedValues.includes(value));
   });
+}
 
-  return {
-    name: packageName, // package/directory name
-    title, // human readable title
-    description,
-    author,
-    license,
-    email: gitUser.email
-  };
+function resolveDefault(question, answers) {
+  if (typeof question.default === 'function') {
+    return question.default(answers);
+  }
+
+  if (typeof question.default === 'string') {
+    return Handlebars.compile(question.default, { noEscape: true })(answers);
+  }
+
+  if (question.default !== undefined) {
+    return question.default;
+  }
+
+  switch (question.type) {
+    case 'select':
+      return normalizeChoices(question.choices)[0].value;
+    case 'confirm':
+      return false;
+    case 'checkbox':
+      return [];
+    default:
+      return '';
+  }
+}
+
+function normalizeChoices(choices) {
+  return choices.map(choice => typeof choice === 'object' ? choice : { value: choice, name: String(choice) });
+}
+
+function prompt(question, defaultValue) {
+  switch (question.type) {
+    case 'select':
+      return select({
+        message: question.message,
+        choices: normalizeChoices(question.choices),
+        default: defaultValue
+      });
+    case 'confirm':
+      return confirm({
+        message: question.message,
+        default: defaultValue
+      });
+    case 'checkbox':
+      return checkbox({
+        message: question.message,
+        choices: normalizeChoices(question.choices).map(choice => ({
+          ...choice,
+          checked: defaultValue.includes(choice.value)
+        }))
+      });
+    default:
+      return input({
+        message: question.message,
+        default: defaultValue || undefined,
+        validate: (value) => validateAnswer(question, value)
+      });
+  }
 }
@@ -0,0 +1,73 @@
+import { getUnscopedName, validatePackageName } from '../utils/npm.mjs';
+
+// Licenses offered for the project, by SPDX identifier, each with its text in licenses/. UNLICENSED marks
+// proprietary code, which npm refuses to publish.
+export const LICENSES = [
+  { value: 'MIT', name: 'MIT' },
+  { value: 'ISC', name: 'ISC' },
+  { value: 'Apache-2.0', name: 'Apache 2.0' },
+  { value: 'BSD-2-Clause', name: 'BSD 2-Clause' },
+  { value: 'BSD-3-Clause', name: 'BSD 3-Clause' },
+  { value: 'GPL-3.0', name: 'GPL 3.0' },
+  { value: 'MPL-2.0', name: 'MPL 2.0' },
+  { value: 'Unlicense', name: 'The Unlicense (public domain)' },
+  { value: 'UNLICENSED', name: 'Proprietary (UNLICENSED)' }
+];
+
+/**
+ * Converts a package name into a human-readable title
+ *
+ * @param {string} name - The package name
+ * @returns {string} - The unscoped name with its first letter capitalized and hyphens replaced with spaces
+ */
+export function toTitle(name) {
+  const unscoped = getUnscopedName(name);
+  return unscoped.charAt(0).toUpperCase() + unscoped.slice(1).replace(/-/g, ' ');
+}
+
+/**
+ * Returns the questions asked for every project, whichever template is used
+ *
+ * Questions use the same declarative format as template manifests, see askQuestions().
+ *
+ * @param {Object} defaults - The user defaults
+ * @param {string} [defaults.author] - The default author
+ * @param {string} [defaults.license] - The default license
+ * @returns {Object[]} - The project questions
+ */
+export function getProjectQuestions(defaults) {
+  return [
+    {
+      name: 'name',
+      type: 'input',
+      message: 'Package name:',
+      validate: validatePackageName,
+      required: true
+    },
+    {
+      name: 'title',
+      type: 'input',
+      message: 'Human-readable title:',
+      default: (answers) => toTitle(answers.name)
+    },
+    {
+      name: 'description',
+      type: 'input',
+      message: 'Project description:',
+      default: ''
+    },
+    {
+      name: 'author',
+      type: 'input',
+      message: 'Author:',
+      default: defaults.author || ''
+    },
+    {
+      name: 'license',
+      type: 'select',
+      message: 'License:',
+      choices: LICENSES,
+      default: defaults.license || 'MIT'
+    }
+  ];
+}
@@ -0,0 +1,200 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { QUESTION_TYPES } from '../prompts/index.mjs';
+import { TemplateError } from '../errors.mjs';
+import { ESCAPE_CONTEXTS } from '../utils/escape.mjs';
+import { fetchTemplate, NPM_PREFIX, parseTemplateSource } from './sources.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory holding the bundled templates, one sub-directory per template
+export const TEMPLATES_DIR = path.resolve(__dirname, '../../scaffold');
+
+// Template used when --template is not provided
+export const DEFAULT_TEMPLATE = 'cli';
+
+// Executable the bin of generated projects points at when the manifest declares no "entry"
+export const DEFAULT_ENTRY = 'index.mjs';
+
+// Manifest files a template directory can contain, a JSON manifest or a JS module exporting the manifest
+export const MANIFEST_FILES = ['template.json', 'template.mjs'];
+
+/**
+ * Finds the manifest file of a template directory
+ *
+ * @param {string} templateDir - The template directory
+ * @returns {Promise<string|null>} - The manifest path, or null if the directory has no manifest
+ */
+export async function findManifest(templateDir) {
+  for (const file of MANIFEST_FILES) {
+    const manifestPath = path.join(templateDir, file);
+    if (await fs.pathExists(manifestPath)) {
+      return manifestPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads and validates the manifest of a template directory
+ *
+ * @param {string} templateDir - The template directory
+ * @returns {Promise<Object>} - The template with its name, description, required variables, prompts, the `entry`
+ *   executable of generated projects and the patterns of its other `executables`, the `escape` contexts of its
+ *   rendered files by path, the conditions including its `files` by path pattern and its `packageJson` fields by key,
+ *   and its path
+ */
+export async function loadTemplate(templateDir) {
+  const manifestPath = await findManifest(templateDir);
+
+  if (!manifestPath) {
+    throw new TemplateError(`Template ${templateDir} has no ${MANIFEST_FILES.join(' or ')} manifest`);
+  }
+
+  const manifestFile = path.basename(manifestPath);
+  let manifest;
+  try {
+    manifest = manifestPath.endsWith('.json')
+      ? await fs.readJson(manifestPath)
+      : (await import(pathToFileURL(manifestPath).href)).default;
+  } catch (error) {
+    throw new TemplateError(`Invalid ${manifestFile} in ${templateDir}: ${error.message}`);
+  }
+
+  if (!manifest || typeof manifest.name !== 'string' || !manifest.name) {
+    throw new TemplateError(`${manifestFile} in ${templateDir} must declare a "name"`);
+  }
+
+  const variables = manifest.variables || [];
+  if (!Array.isArray(variables) || variables.some(variable => typeof variable !== 'string')) {
+    throw new TemplateError(`"variables" in ${manifestFile} of ${manifest.name} must be a list of variable names`);
+  }
+
+  const prompts = manifest.prompts || [];
+  if (!Array.isArray(prompts)) {
+    throw new TemplateError(`"prompts" in ${manifestFile} of ${manifest.name} must be a list of questions`);
+  }
+  prompts.forEach(question => validateQuestion(question, `${manifestFile} of ${manifest.name}`));
+
+  const entry = manifest.entry ?? DEFAULT_ENTRY;
+  if (typeof entry !== 'string' || !entry || path.isAbsolute(entry)) {
+    throw new TemplateError(`"entry" in ${manifestFile} of ${manifest.name} must be a path relative to the project`);
+  }
+
+  const escape = manifest.escape || {};
+  const contexts = Object.keys(ESCAPE_CONTEXTS);
+  if (typeof escape !== 'object' || Array.isArray(escape)
+    || Object.values(escape).some(context => !contexts.includes(context))) {
+    throw new TemplateError(`"escape" in ${manifestFile} of ${manifest.name} must map file paths to one of `
+      + contexts.join(', '));
+  }
+
+  const executables = manifest.executables || [];
+  if (!Array.isArray(executables) || executables.some(pattern => typeof pattern !== 'string' || !pattern)) {
+    throw new TemplateError(`"executables" in ${manifestFile} of ${manifest.name} must be a list of file path patterns`);
+  }
+
+  const files = manifest.files || {};
+  validateRules(files, `"files" in ${manifestFile} of ${manifest.name}`, 'file path patterns');
+  const packageJson = manifest.packageJson || {};
+  validateRules(packageJson, `"packageJson" in ${manifestFile} of ${manifest.name}`, 'package.json keys');
+
+  return {
+    name: manifest.name,
+    description: manifest.description || '',
+    variables,
+    prompts,
+    entry,
+    executables,
+    escape,
+    files,
+    packageJson,
+    path: templateDir
+  };
+}
+
+function validateQuestion(question, source) {
+  if (typeof question.name !== 'string' || !question.name) {
+    throw new TemplateError(`Every prompt in ${source} must have a "name"`);
+  }
+  if (!QUESTION_TYPES.includes(question.type)) {
+    throw new TemplateError(`Prompt "${question.name}" in ${source} must have a type of ${QUESTION_TYPES.join(', ')}`);
+  }
+  if (typeof question.message !== 'string') {
+    throw new TemplateError(`Prompt "${question.name}" in ${source} must have a "message"`);
+  }
+  if (['select', 'checkbox'].includes(question.type)
+    && (!Array.isArray(question.choices) || question.choices.length === 0)) {
+    throw new TemplateError(`Prompt "${question.name}" in ${source} must list its "choices"`);
+  }
+}
+
+/**
+ * Validates rules including parts of the generated project, `when` conditions keyed by what they include
+ *
+ * @param {Object} rules - The rules
+ * @param {string} source - Where the rules are declared, for error messages
+ * @param {string} keys - What the rules are keyed by, for error messages
+ */
+function validateRules(rules, source, keys) {
+  const isCondition = when => typeof when === 'function' || (when && typeof when === 'object' && !Array.isArray(when));
+  if (typeof rules !== 'object' || Array.isArray(rules) || !Object.values(rules).every(isCondition)) {
+    throw new TemplateError(`${source} must map ${keys} to conditions on the answers, e.g. { "features": "ci" }`);
+  }
+}
+
+/**
+ * Lists the templates bundled with the generator
+ *
+ * @returns {Promise<Object[]>} - The bundled templates sorted by name
+ */
+export async function listTemplates() {
+  const entries = await fs.readdir(TEMPLATES_DIR, { withFileTypes: true });
+  const templates = [];
+
+  for (const entry of entries) {
+    const templateDir = path.join(TEMPLATES_DIR, entry.name);
+    if (entry.isDirectory() && await findManifest(templateDir)) {
+      templates.push(await loadTemplate(templateDir));
+    }
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolves a --template value to a template
+ *
+ * The value is the name of a bundled template, a path to a local template directory, or a remote template (a git
+ * repository, an npm package or a tarball, see parseTemplateSource()) which is fetched into the cache first.
+ *
+ * @param {string} [nameOrPath] - Bundled template name, template directory path or remote template
+ * @param {string} [cwd] - Directory relative paths are resolved against
+ * @returns {Promise<Object>} - The resolved template
+ */
+export async function resolveTemplate(nameOrPath = DEFAULT_TEMPLATE, cwd = process.cwd()) {
+  const templates = await listTemplates();
+  const bundled = templates.find(template => template.name === nameOrPath);
+  if (bundled) {
+    return bundled;
+  }
+
+  const source = parseTemplateSource(nameOrPath, cwd);
+  if (source) {
+    return loadTemplate(await fetchTemplate(source));
+  }
+
+  const templateDir = path.resolve(cwd, nameOrPath);
+  if (await fs.pathExists(templateDir)) {
+    if (!(await fs.stat(templateDir)).isDirectory()) {
+      throw new TemplateError(`Template path ${templateDir} is not a directory`);
+    }
+    return loadTemplate(templateDir);
+  }
+
+  const available = templates.map(template => template.name).join(', ');
+  throw new TemplateError(`Unknown template "${nameOrPath}". Available templates: ${available}, ` +
+    `or a template directory, git repository, ${NPM_PREFIX}<package> or tarball`);
+}
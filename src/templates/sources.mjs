@@ -0,0 +1,199 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { TemplateError } from '../errors.mjs';
+import { cloneRepository } from '../utils/git.mjs';
+
+const execFilePromise = promisify(execFile);
+
+// Prefix of --template values naming an npm package, e.g. npm:cli-template@2.1.0
+export const NPM_PREFIX = 'npm:';
+
+// Extensions of tarballs, such as the ones created by npm pack
+const TARBALL_EXTENSIONS = ['.tgz', '.tar.gz'];
+
+/**
+ * Returns the directory remote templates are fetched into
+ *
+ * @returns {string} - The cache directory, under XDG_CACHE_HOME or ~/.cache
+ */
+export function getTemplateCacheDir() {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'create-cli-template', 'templates');
+}
+
+/**
+ * Parses a --template value pointing at a remote template
+ *
+ * Recognized values are:
+ * - git repositories: URLs starting with `git+`, `git@`, `git://` or `ssh://`, or http(s) and file URLs ending with
+ *   `.git`, optionally followed by `#<ref>`, `#<ref>:<subdirectory>` or `#:<subdirectory>`
+ * - npm packages: `npm:<name>[@<version>]`, or a scoped `@scope/name[@<version>]`
+ * - tarballs: paths or URLs ending with `.tgz` or `.tar.gz`, e.g. created by npm pack
+ *
+ * @param {string} value - The --template value
+ * @param {string} [cwd] - Directory relative tarball paths are resolved against
+ * @returns {Object|null} - The source, with its `type` ('git', 'npm' or 'tarball') and `spec`, plus the `url`, `ref`
+ *   and `subdir` of git repositories, the package `spec` of npm packages or the `file` of local tarballs. Null when
+ *   the value is not a remote template.
+ */
+export function parseTemplateSource(value, cwd = process.cwd()) {
+  if (value.startsWith(NPM_PREFIX) || /^@[^/]+\/[^/]+$/.test(value)) {
+    const spec = value.startsWith(NPM_PREFIX) ? value.slice(NPM_PREFIX.length) : value;
+    if (!spec) {
+      throw new TemplateError(`Template ${value} must name an npm package`);
+    }
+    return { type: 'npm', spec };
+  }
+
+  const [location, fragment] = splitFragment(value);
+  const isGit = location.startsWith('git+')
+    || /^(git@|git:\/\/|ssh:\/\/)/.test(location)
+    || (/^(https?|file):\/\//.test(location) && location.endsWith('.git'));
+
+  if (isGit) {
+    const url = location.replace(/^git\+/, '');
+    const separator = fragment.indexOf(':');
+    const ref = (separator === -1 ? fragment : fragment.slice(0, separator)) || undefined;
+    const subdir = separator === -1 ? undefined : normalizeSubdir(fragment.slice(separator + 1), value);
+    // git would read them as options, e.g. --upload-pack=<command>
+    if (url.startsWith('-') || ref?.startsWith('-')) {
+      throw new TemplateError(`Template ${value} must not start its URL or ref with "-"`);
+    }
+    return { type: 'git', spec: value, url, ref, subdir };
+  }
+
+  if (TARBALL_EXTENSIONS.some(extension => value.endsWith(extension))) {
+    return /^https?:\/\//.test(value)
+      ? { type: 'npm', spec: value }
+      : { type: 'tarball', spec: value, file: path.resolve(cwd, value.replace(/^file:/, '')) };
+  }
+
+  return null;
+}
+
+/**
+ * Fetches a remote template into the cache
+ *
+ * The template is fetched on every run, so branches and version ranges pick up new releases, and replaces the
+ * previous copy in the cache once it was fully fetched.
+ *
+ * @param {Object} source - The source from parseTemplateSource()
+ * @param {Object} [options] - The options
+ * @param {string} [options.cacheDir] - Directory templates are fetched into (default: getTemplateCacheDir())
+ * @returns {Promise<string>} - The template directory
+ */
+export async function fetchTemplate(source, { cacheDir = getTemplateCacheDir() } = {}) {
+  const key = crypto.createHash('sha256').update(`${source.type}:${source.spec}`).digest('hex').slice(0, 16);
+  const dir = path.join(cacheDir, `${source.type}-${key}`);
+  const stagingDir = `${dir}.${process.pid}.tmp`;
+
+  try {
+    await fs.remove(stagingDir);
+    await fs.ensureDir(cacheDir);
+
+    if (source.type === 'git') {
+      await cloneRepository(source.url, stagingDir, { ref: source.ref });
+    } else if (source.type === 'npm') {
+      await fetchPackage(source.spec, stagingDir);
+    } else {
+      await extractTarball(source.file, stagingDir);
+    }
+
+    await fs.remove(dir);
+    await fs.move(stagingDir, dir);
+  } catch (error) {
+    await fs.remove(stagingDir);
+    throw new TemplateError(`Could not fetch template ${source.spec}: ${error.message.trim()}`);
+  }
+
+  const templateDir = source.subdir ? path.join(dir, source.subdir) : dir;
+  if (!await fs.pathExists(templateDir)) {
+    throw new TemplateError(`Template ${source.spec} has no ${source.subdir} directory`);
+  }
+
+  return templateDir;
+}
+
+/**
+ * Downloads an npm package with npm pack and extracts it
+ *
+ * @param {string} spec - The package spec, e.g. `cli-template@^2.0.0`
+ * @param {string} dir - The directory to extract the package into
+ */
+async function fetchPackage(spec, dir) {
+  const packDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-cli-template-pack-'));
+
+  try {
+    // npm is a .cmd script on Windows, which only runs through a shell
+    await execFilePromise('npm', ['pack', spec, '--pack-destination', packDir, '--ignore-scripts', '--silent'], {
+      shell: process.platform === 'win32'
+    });
+    const [tarball] = (await fs.readdir(packDir)).filter(file => file.endsWith('.tgz'));
+    if (!tarball) {
+      throw new Error(`npm pack did not download ${spec}`);
+    }
+    await extractTarball(path.join(packDir, tarball), dir);
+  } finally {
+    await fs.remove(packDir);
+  }
+}
+
+/**
+ * Extracts a gzipped tarball
+ *
+ * Tarballs holding a single top-level directory, like the `package` directory of npm packages, are extracted
+ * without it.
+ *
+ * @param {string} file - The tarball path
+ * @param {string} dir - The directory to extract the files into
+ */
+async function extractTarball(file, dir) {
+  if (!await fs.pathExists(file)) {
+    throw new Error(`${file} does not exist`);
+  }
+
+  const extractDir = `${dir}.extract`;
+  await fs.remove(extractDir);
+  await fs.ensureDir(extractDir);
+
+  try {
+    await execFilePromise('tar', ['-xzf', file, '-C', extractDir]);
+    const entries = await fs.readdir(extractDir, { withFileTypes: true });
+    const root = entries.length === 1 && entries[0].isDirectory()
+      ? path.join(extractDir, entries[0].name)
+      : extractDir;
+    await fs.move(root, dir);
+  } finally {
+    await fs.remove(extractDir);
+  }
+}
+
+/**
+ * Splits a value at its `#` fragment
+ *
+ * @param {string} value - The value
+ * @returns {string[]} - The value before the fragment and the fragment, empty when there is none
+ */
+function splitFragment(value) {
+  const index = value.indexOf('#');
+  return index === -1 ? [value, ''] : [value.slice(0, index), value.slice(index + 1)];
+}
+
+/**
+ * Validates the subdirectory of a repository holding the template
+ *
+ * @param {string} subdir - The subdirectory
+ * @param {string} value - The --template value, for error messages
+ * @returns {string} - The normalized subdirectory
+ */
+function normalizeSubdir(subdir, value) {
+  const normalized = path.normalize(subdir);
+  if (!subdir || path.isAbsolute(normalized) || normalized.split(path.sep)[0] === '..') {
+    throw new TemplateError(`Template ${value} must name a subdirectory inside the repository`);
+  }
+  return normalized;
+}
@@ -0,0 +1,48 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { InvalidOptionsError } from '../errors.mjs';
+
+/**
+ * Loads prompt answers from a JSON or YAML file
+ *
+ * @param {string} file - The answers file, YAML when its extension is .yml or .yaml, JSON otherwise
+ * @returns {Promise<Object>} - The answers keyed by question name
+ */
+export async function loadAnswersFile(file) {
+  let answers;
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    answers = ['.yml', '.yaml'].includes(path.extname(file).toLowerCase())
+      ? YAML.parse(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new InvalidOptionsError(`Could not read answers from ${file}: ${error.message}`);
+  }
+
+  if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new InvalidOptionsError(`Answers file ${file} must contain an object of answers keyed by question name`);
+  }
+
+  return answers;
+}
+
+/**
+ * Parses --set key=value pairs into answers
+ *
+ * @param {string[]} pairs - The key=value pairs
+ * @returns {Object} - The answers keyed by question name, values are strings
+ */
+export function parseSetOptions(pairs = []) {
+  const answers = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new InvalidOptionsError(`Invalid --set "${pair}", expected key=value`);
+    }
+    answers[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+  }
+
+  return answers;
+}
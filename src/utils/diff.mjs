@@ -0,0 +1,128 @@
+import fs from 'fs-extra';
+import { isBinary } from './fs.mjs';
+import { colors } from './logger.mjs';
+
+// Files above these limits are not diffed, the diff table grows with the product of their line counts
+export const MAX_DIFF_SIZE = 1024 * 1024;
+export const MAX_DIFF_LINES = 5000;
+
+/**
+ * Computes a line diff between two texts
+ *
+ * @param {string} oldText - The existing text
+ * @param {string} newText - The new text
+ * @returns {Object[]} - The diff lines, each with a `type` (' ', '-' or '+') and the line `text`
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      lines.push({ type: ' ', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: '-', text: oldLines[i++] });
+    } else {
+      lines.push({ type: '+', text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) {
+    lines.push({ type: '-', text: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    lines.push({ type: '+', text: newLines[j++] });
+  }
+
+  return lines;
+}
+
+/**
+ * Formats the differences between two texts, keeping a few unchanged lines around each change
+ *
+ * The diff is coloured like the logger output on stdout, see colors().
+ *
+ * @param {string} oldText - The existing text
+ * @param {string} newText - The new text
+ * @param {number} [context] - The number of unchanged lines shown around changes
+ * @returns {string} - The coloured diff
+ */
+export function formatDiff(oldText, newText, context = 3) {
+  const color = colors(process.stdout);
+  const lines = diffLines(oldText, newText);
+  const changed = lines.map(line => line.type !== ' ');
+  const isVisible = (index) => changed
+    .slice(Math.max(0, index - context), index + context + 1)
+    .some(Boolean);
+
+  const output = [];
+  let skipped = false;
+  lines.forEach((line, index) => {
+    if (!isVisible(index)) {
+      skipped = true;
+      return;
+    }
+    if (skipped) {
+      output.push(color.cyan('@@'));
+      skipped = false;
+    }
+    if (line.type === '-') {
+      output.push(color.red(`- ${line.text}`));
+    } else if (line.type === '+') {
+      output.push(color.green(`+ ${line.text}`));
+    } else {
+      output.push(`  ${line.text}`);
+    }
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Formats the differences between two files, see formatDiff()
+ *
+ * Links, binary files and files above MAX_DIFF_SIZE or MAX_DIFF_LINES are not diffed, a single line says so instead.
+ *
+ * @param {string} oldPath - The existing file
+ * @param {string} newPath - The new file
+ * @param {number} [context] - The number of unchanged lines shown around changes
+ * @returns {Promise<string>} - The coloured diff
+ */
+export async function formatFileDiff(oldPath, newPath, context) {
+  const color = colors(process.stdout);
+
+  // Links are not followed, their target can be missing
+  const stats = await Promise.all([fs.lstat(oldPath), fs.lstat(newPath)]);
+  if (stats.some(stat => stat.isSymbolicLink())) {
+    return color.cyan('symbolic link differs');
+  }
+  if (stats.some(stat => stat.size > MAX_DIFF_SIZE)) {
+    return color.cyan('file too large to diff');
+  }
+
+  const contents = await Promise.all([fs.readFile(oldPath), fs.readFile(newPath)]);
+  if (contents.some(content => isBinary(content))) {
+    return color.cyan('binary file differs');
+  }
+
+  const [oldText, newText] = contents.map(content => content.toString('utf8'));
+  if ([oldText, newText].some(text => text.split('\n').length > MAX_DIFF_LINES)) {
+    return color.cyan('file too large to diff');
+  }
+
+  return formatDiff(oldText, newText, context);
+}
@@ -0,0 +1,80 @@
+import path from 'path';
+
+// Plain YAML scalars that keep their value without quotes
+const PLAIN_YAML = /^[A-Za-z0-9./_+-](?:[\w .@/+-]*[\w.@/+-])?$/;
+
+// JS string characters that must be escaped, `${` only matters in template literals. Double quotes, backticks and
+// `${` get unicode escapes, as no-useless-escape flags their backslash escapes in single-quoted strings.
+const JS_SPECIAL = /[\\'"`\n\r\u2028\u2029]|\$\{/g;
+const JS_ESCAPES = {
+  '\n': '\\n',
+  '\r': '\\r',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+  '"': '\\u0022',
+  '`': '\\u0060',
+  '${': '$\\u007b'
+};
+
+/**
+ * Escapers of the contexts values are rendered in, each turning a string into text that keeps its value there
+ *
+ * - `js` - Inside a quoted JS or TypeScript string, whatever its quotes
+ * - `json` - Inside a quoted JSON string
+ * - `markdown` - In Markdown text, escaping the characters starting inline formatting, links and HTML. Underscores
+ *   and dots are left as-is, so package names can be used in code blocks.
+ * - `yaml` - As a YAML value, double-quoted when it is not a plain scalar
+ * - `none` - As-is
+ */
+export const ESCAPE_CONTEXTS = {
+  js: value => value.replace(JS_SPECIAL, char => JS_ESCAPES[char] || `\\${char}`),
+  json: value => JSON.stringify(value).slice(1, -1),
+  markdown: value => value.replace(/[\\`*[\]<>|]/g, '\\$&'),
+  yaml: value => (value === '' || PLAIN_YAML.test(value) ? value : JSON.stringify(value)),
+  none: value => value
+};
+
+// Escape context of the rendered files, by extension
+const CONTEXT_EXTENSIONS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.ts': 'js',
+  '.mts': 'js',
+  '.cts': 'js',
+  '.json': 'json',
+  '.md': 'markdown',
+  '.yml': 'yaml',
+  '.yaml': 'yaml'
+};
+
+/**
+ * Returns the context the values of a rendered file are escaped for
+ *
+ * @param {string} filePath - The path of the rendered file, relative to the project
+ * @param {Object} [overrides] - Contexts chosen by the template manifest, by file path
+ * @returns {string} - One of ESCAPE_CONTEXTS, `none` for unknown extensions
+ */
+export function getEscapeContext(filePath, overrides = {}) {
+  const key = filePath.split(path.sep).join('/');
+  return overrides[key] || CONTEXT_EXTENSIONS[path.extname(filePath).toLowerCase()] || 'none';
+}
+
+/**
+ * Escapes a value for a context
+ *
+ * Values marked safe, such as the output of the `json` helper, are used as-is, as are values of the `none` context.
+ *
+ * @param {*} value - The value, null and undefined are rendered as empty strings
+ * @param {string} context - One of ESCAPE_CONTEXTS
+ * @returns {string} - The escaped value
+ */
+export function escapeValue(value, context) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value.toHTML === 'function') {
+    return value.toHTML();
+  }
+  return ESCAPE_CONTEXTS[context](String(value));
+}
@@ -1,47 +1,308 @@
 import fs from 'fs-extra';
 import path from 'path';
-import Handlebars from 'handlebars';
-import { logger } from './logger.mjs';
-
-export async function copyTemplate(templatePath, targetPath, variables) {
-  try {
-    await fs.ensureDir(targetPath);
-
-    const files = await fs.readdir(templatePath, { withFileTypes: true });
-
-    for (const file of files) {
-      const sourcePath = path.join(templatePath, file.name);
-      const targetFileName = file.name.replace('.template', '');
-      const destPath = path.join(targetPath, targetFileName);
-
-      if (file.isDirectory()) {
-        await copyTemplate(sourcePath, destPath, variables);
-      } else if (file.name.endsWith('.template')) {
-        // Process template files with handlebars
-        const content = await fs.readFile(sourcePath, 'utf8');
-        const processed = Handlebars.compile(content)(variables);
-        await fs.writeFile(destPath, processed);
-
-        // Make the file executable if it's our entry point script
-        if (targetFileName === 'index.mjs') {
-          await fs.chmod(destPath, 0o755);
+import { getEscapeContext } from './escape.mjs';
+import { createRenderer, PARTIALS_DIR } from './handlebars.mjs';
+import { LICENSE_FILE, planLicense } from './license.mjs';
+import { getReadmeVariables } from './readme.mjs';
+import { checkSyntax, CHECKED_EXTENSIONS } from './syntax.mjs';
+import { MANIFEST_FILES } from '../templates/index.mjs';
+import { matchesWhen } from '../prompts/index.mjs';
+import { TemplateError } from '../errors.mjs';
+
+// Number of bytes of a file searched for a NUL byte to tell binary files apart
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Plans the files a template produces without writing anything
+ *
+ * `.template` files are rendered in memory with Handlebars, with the template helpers and partials (see
+ * createRenderer()), other files and binary `.template` files are planned to be copied as-is, and symbolic links to
+ * be recreated. Files keep the permissions of their source, the entry and the `executables` of the manifest are made
+ * executable. Values are escaped for the language of each rendered file, see getEscapeContext(), and rendered JSON
+ * and JavaScript modules must parse, otherwise a TemplateError names the variable breaking them. A LICENSE file is
+ * rendered from the chosen license unless the template has its own. Templates can also document the project with the
+ * `commands` and `scripts` variables, see getReadmeVariables().
+ *
+ * File and directory names are rendered too, e.g. `{{bin}}.config.mjs`, and left out when they render empty. A name
+ * rendered with a path separator, `.` or `..` fails with a TemplateError naming the variable breaking it. The
+ * `files` rules of the manifest leave out the files and directories matching their pattern, and its `packageJson`
+ * rules the fields of package.json matching their key, when the answers do not match their condition (see
+ * matchesWhen()).
+ *
+ * @param {Object} template - The template resolved from the registry
+ * @param {string} template.name - The template name
+ * @param {string} template.path - The template directory
+ * @param {string[]} template.variables - The variables the template requires
+ * @param {Object} [template.escape] - Escape contexts of rendered files, by path
+ * @param {Object} [template.files] - Conditions including files and directories, by path pattern
+ * @param {Object} [template.packageJson] - Conditions including package.json fields, by `field` or `field.key`
+ * @param {string} [template.entry] - The executable the bin of the project points at
+ * @param {string[]} [template.executables] - Patterns of the other executable files
+ * @param {Object} variables - The variables passed to the templates
+ * @returns {Promise<Object[]>} - The planned files, each with its `source`, target `path` relative to the
+ *   project, `action` ('render', 'copy' or 'link'), `size` in bytes and permission `mode`, the rendered `content` of
+ *   rendered files and the `target` of links
+ */
+export async function planTemplate(template, variables) {
+  const missing = template.variables.filter(variable => variables[variable] === undefined);
+  if (missing.length > 0) {
+    throw new TemplateError(`Template ${template.name} requires variables: ${missing.join(', ')}`);
+  }
+
+  const isFileIncluded = filePath => Object.entries(template.files || {})
+    .every(([pattern, when]) => !matchesPattern(pattern, filePath) || matchesWhen(when, variables));
+  const isFieldIncluded = key => Object.entries(template.packageJson || {})
+    .every(([rule, when]) => (rule !== key && !key.startsWith(`${rule}.`)) || matchesWhen(when, variables));
+
+  const render = await createRenderer(template.path);
+  const readmeVariables = await getReadmeVariables(template.path, variables, render);
+  const templateVariables = {
+    ...readmeVariables,
+    scripts: readmeVariables.scripts.filter(script => isFieldIncluded(`scripts.${script.name}`)),
+    ...variables
+  };
+
+  const renderFile = async (source, targetPath) => {
+    const context = getEscapeContext(targetPath, template.escape);
+    const content = render(source, templateVariables, context);
+    const error = await checkSyntax(targetPath, content);
+    if (error) {
+      const language = CHECKED_EXTENSIONS[path.extname(targetPath).toLowerCase()];
+      let message = `${targetPath} of template ${template.name} is not valid ${language} once rendered: ${error}`;
+
+      // The file parses once the variable breaking it is replaced with a plain value
+      for (const [name, value] of Object.entries(variables)) {
+        if (typeof value === 'string' && value
+          && !await checkSyntax(targetPath, render(source, { ...templateVariables, [name]: 'x' }, context))) {
+          message += `. The value of "${name}" breaks it: ${JSON.stringify(value)}`;
+          break;
         }
+      }
+      throw new TemplateError(message);
+    }
+    return content;
+  };
 
-        logger.info(`Created ${targetFileName}`);
-      } else if (file.name === 'gitignore') {
-        // Special case for gitignore to avoid npm issues
-        await fs.writeFile(path.join(targetPath, '.gitignore'),
-          await fs.readFile(sourcePath, 'utf8'));
-        logger.info('Created .gitignore');
-      } else {
-        // Copy file as-is
-        await fs.copy(sourcePath, destPath);
-        logger.info(`Copied ${file.name}`);
+  const renderName = (name) => {
+    if (!name.includes('{{')) {
+      return name;
+    }
+
+    const rendered = render(name, templateVariables);
+    if (!isFileName(rendered)) {
+      let message = `${name} of template ${template.name} renders to ${JSON.stringify(rendered)}, which is not a `
+        + 'file name';
+
+      // The name is valid once the variable breaking it is replaced with a plain value
+      for (const [variable, value] of Object.entries(variables)) {
+        if (typeof value === 'string' && value && isFileName(render(name, { ...templateVariables, [variable]: 'x' }))) {
+          message += `. The value of "${variable}" breaks it: ${JSON.stringify(value)}`;
+          break;
+        }
       }
+      throw new TemplateError(message);
+    }
+    return rendered;
+  };
+
+  const plan = await planDirectory(template.path, '', { renderFile, renderName, isIncluded: isFileIncluded });
+
+  const packageFile = plan.find(file => file.path === 'package.json');
+  if (packageFile && Object.keys(template.packageJson || {}).length > 0) {
+    const packageJson = packageFile.action === 'render'
+      ? JSON.parse(packageFile.content)
+      : await fs.readJson(packageFile.source);
+    const kept = omitFields(packageJson, isFieldIncluded);
+
+    // The file is copied as-is unless fields are left out
+    if (JSON.stringify(kept) !== JSON.stringify(packageJson)) {
+      const content = `${JSON.stringify(kept, null, 2)}\n`;
+      Object.assign(packageFile, { action: 'render', size: Buffer.byteLength(content), content });
+    }
+  }
+
+  const executables = [template.entry, ...(template.executables || [])].filter(Boolean);
+  for (const file of plan) {
+    if (file.mode !== undefined && executables.some(pattern => matchesPattern(pattern, file.path))) {
+      file.mode |= 0o111;
+    }
+  }
+
+  if (variables.license && !plan.some(file => file.path === LICENSE_FILE)) {
+    plan.push(await planLicense(variables));
+  }
+
+  return plan;
+}
+
+/**
+ * Copies a template into the target directory, rendering `.template` files with Handlebars, see planTemplate()
+ *
+ * @param {Object} template - The template resolved from the registry
+ * @param {string} targetPath - The directory to copy the template into
+ * @param {Object} variables - The variables passed to the templates
+ * @returns {Promise<Object[]>} - The written files, see planTemplate()
+ */
+export async function copyTemplate(template, targetPath, variables) {
+  await fs.ensureDir(targetPath);
+
+  const files = await planTemplate(template, variables);
+
+  for (const file of files) {
+    const destPath = path.join(targetPath, file.path);
+    await fs.ensureDir(path.dirname(destPath));
+
+    if (file.action === 'link') {
+      await fs.symlink(file.target, destPath);
+      continue;
+    }
+
+    if (file.action === 'render') {
+      await fs.writeFile(destPath, file.content);
+    } else {
+      await fs.copy(file.source, destPath);
+    }
+
+    // Keep the permissions planned from the source and the executables
+    if (file.mode !== undefined) {
+      await fs.chmod(destPath, file.mode);
     }
-    return true;
-  } catch (error) {
-    logger.error('Failed to copy template', error);
-    return false;
   }
+
+  return files;
+}
+
+/**
+ * Plans the files of a template directory, see planTemplate()
+ *
+ * @param {string} sourceDir - The directory
+ * @param {string} relativeDir - Its path in the project
+ * @param {Object} hooks - Functions rendering the files and names, and whether a path is part of the project
+ * @param {Function} hooks.renderFile - Renders the source of a `.template` file given its path in the project
+ * @param {Function} hooks.renderName - Renders a file or directory name
+ * @param {Function} hooks.isIncluded - Whether a file or directory, given its path in the project, is generated
+ * @returns {Promise<Object[]>} - The planned files
+ */
+async function planDirectory(sourceDir, relativeDir, hooks) {
+  const files = await fs.readdir(sourceDir, { withFileTypes: true });
+  const plan = [];
+
+  for (const file of files) {
+    // The manifest describes the template and the partials are rendered into its files, neither is part of the
+    // generated project
+    if (relativeDir === '' && (MANIFEST_FILES.includes(file.name) || file.name === PARTIALS_DIR)) {
+      continue;
+    }
+
+    const sourcePath = path.join(sourceDir, file.name);
+
+    // Special case for gitignore to avoid npm issues
+    const targetFileName = file.name === 'gitignore'
+      ? '.gitignore'
+      : hooks.renderName(file.name.replace('.template', ''));
+    const targetPath = path.join(relativeDir, targetFileName);
+
+    // Names rendered empty and paths the answers exclude are not part of the project
+    if (!targetFileName || !hooks.isIncluded(targetPath)) {
+      continue;
+    }
+
+    if (file.isSymbolicLink()) {
+      // Links are recreated with the same target, which is neither followed nor rendered
+      plan.push({ source: sourcePath, path: targetPath, action: 'link', size: 0, target: await fs.readlink(sourcePath) });
+      continue;
+    }
+
+    if (file.isDirectory()) {
+      plan.push(...await planDirectory(sourcePath, targetPath, hooks));
+      continue;
+    }
+
+    const { mode, size } = await fs.stat(sourcePath);
+    const source = file.name.endsWith('.template') ? await fs.readFile(sourcePath) : null;
+
+    // Process template files with handlebars, binary content is copied as-is
+    if (source && !isBinary(source)) {
+      const content = await hooks.renderFile(source.toString('utf8'), targetPath);
+      plan.push({
+        source: sourcePath,
+        path: targetPath,
+        action: 'render',
+        size: Buffer.byteLength(content),
+        mode: mode & 0o777,
+        content
+      });
+    } else {
+      plan.push({
+        source: sourcePath,
+        path: targetPath,
+        action: 'copy',
+        size,
+        mode: mode & 0o777
+      });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Checks that a rendered name names a file or directory inside its parent directory, empty names are left out
+ *
+ * @param {string} name - The rendered name
+ * @returns {boolean} - Whether the name has no path separator, is not `.` or `..` and is not absolute
+ */
+function isFileName(name) {
+  return !/[/\\]/.test(name) && name !== '.' && name !== '..' && !path.isAbsolute(name);
+}
+
+/**
+ * Detects binary content the way git does, by a NUL byte in its first bytes
+ *
+ * @param {Buffer} content - The file content
+ * @returns {boolean} - Whether the content is binary
+ */
+export function isBinary(content) {
+  return content.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+}
+
+/**
+ * Checks whether a path in the project matches a pattern of the `files` rules, the pattern matching a directory
+ * matches everything in it
+ *
+ * @param {string} pattern - The pattern, with `/` separators, where `*` matches any part of a name and `**` any path
+ * @param {string} filePath - The path, relative to the project
+ * @returns {boolean} - Whether the path matches
+ */
+function matchesPattern(pattern, filePath) {
+  const expression = pattern.replace(/\/+$/, '').split(/(\*\*|\*)/).map((part) => {
+    if (part === '**') {
+      return '.*';
+    }
+    return part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  return new RegExp(`^${expression}(/.*)?$`).test(filePath.split(path.sep).join('/'));
+}
+
+/**
+ * Removes the fields of a package.json the answers exclude
+ *
+ * @param {Object} packageJson - The package.json content
+ * @param {Function} isIncluded - Whether a field is kept, given its `field` or `field.key` name
+ * @returns {Object} - The package.json content without the excluded fields
+ */
+function omitFields(packageJson, isIncluded) {
+  const result = {};
+
+  for (const [field, value] of Object.entries(packageJson)) {
+    if (!isIncluded(field)) {
+      continue;
+    }
+    result[field] = value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).filter(([key]) => isIncluded(`${field}.${key}`)))
+      : value;
+  }
+
+  return result;
 }
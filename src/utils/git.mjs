@@ -1,8 +1,11 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
 import { promisify } from 'util';
 import { logger } from './logger.mjs';
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 export async function getGitUser() {
   try {
@@ -19,13 +22,88 @@ export async function getGitUser() {
   }
 }
 
-export async function initGit(targetDir) {
+/**
+ * Checks whether a directory is inside a git work tree
+ *
+ * @param {string} dir - The directory
+ * @returns {Promise<boolean>} - True if the directory belongs to a git repository
+ */
+export async function isInsideWorkTree(dir) {
   try {
-    await execPromise('git init', { cwd: targetDir });
-    logger.success('Initialized git repository');
-    return true;
-  } catch (error) {
-    logger.warning(`Failed to initialize git repository: ${error.message}`);
+    const { stdout } = await execFilePromise('git', ['rev-parse', '--is-inside-work-tree'], { cwd: dir });
+    return stdout.trim() === 'true';
+  } catch {
     return false;
   }
 }
+
+/**
+ * Initializes a git repository in the project directory and commits the generated files
+ *
+ * Nothing is done when the directory is already inside a git work tree, so projects generated in an existing
+ * repository are left for the user to commit. The initial commit is skipped when no author name and email are known.
+ *
+ * @param {string} targetDir - The project directory
+ * @param {Object} [options] - The options
+ * @param {string} [options.initialBranch] - Name of the initial branch, git's default when not given
+ * @param {string} [options.remote] - URL added as the origin remote
+ * @param {string|false} [options.commitMessage] - Message of the initial commit, false to skip it
+ * @param {Object} [options.author] - The author of the initial commit, with its `name` and `email`
+ * @param {AbortSignal} [options.signal] - Stops the running git command when aborted
+ * @returns {Promise<Object>} - Whether the repository was `initialized` and the initial commit `committed`
+ */
+export async function initGit(targetDir, options = {}) {
+  const { initialBranch, remote, commitMessage = false, author = {}, signal } = options;
+  const git = args => execFilePromise('git', args, { cwd: targetDir, signal });
+
+  if (await isInsideWorkTree(targetDir)) {
+    return { initialized: false, committed: false };
+  }
+
+  await git(['init']);
+  // Older git versions have no --initial-branch, pointing HEAD at the branch works with every version
+  if (initialBranch) {
+    await git(['symbolic-ref', 'HEAD', `refs/heads/${initialBranch}`]);
+  }
+  if (remote) {
+    await git(['remote', 'add', 'origin', remote]);
+  }
+
+  if (commitMessage === false || !author.name || !author.email) {
+    return { initialized: true, committed: false };
+  }
+
+  await git(['add', '--all']);
+  await git(['-c', `user.name=${author.name}`, '-c', `user.email=${author.email}`, 'commit', '--quiet', '-m', commitMessage]);
+  return { initialized: true, committed: true };
+}
+
+/**
+ * Clones the files of a git repository at a ref, without its history
+ *
+ * Branches and tags are cloned shallowly. Other refs, such as commit hashes, cannot be, so the whole repository is
+ * cloned before checking them out.
+ *
+ * @param {string} url - The repository URL, any URL git clone accepts
+ * @param {string} dir - The directory to clone into, which must not exist
+ * @param {Object} [options] - The options
+ * @param {string} [options.ref] - The branch, tag or commit to check out (default: the default branch)
+ */
+export async function cloneRepository(url, dir, { ref } = {}) {
+  const git = args => execFilePromise('git', args);
+
+  try {
+    // The URL comes from the user, after -- git does not read it as an option
+    await git(['clone', '--quiet', '--depth', '1', ...(ref ? ['--branch', ref] : []), '--', url, dir]);
+  } catch (error) {
+    if (!ref) {
+      throw error;
+    }
+    await fs.remove(dir);
+    await git(['clone', '--quiet', '--no-checkout', '--', url, dir]);
+    await git(['-C', dir, 'checkout', '--quiet', ref]);
+  }
+
+  // The files are used as a template, not as a repository
+  await fs.remove(path.join(dir, '.git'));
+}
@@ -0,0 +1,163 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Handlebars from 'handlebars';
+import { ESCAPE_CONTEXTS, escapeValue } from './escape.mjs';
+
+// Directory of a template holding its partials, which is not copied into generated projects
+export const PARTIALS_DIR = '_partials';
+
+// Extensions removed from partial file names to name the partials, e.g. _partials/ci/setup.hbs is {{> ci/setup}}
+const PARTIAL_EXTENSIONS = ['.hbs', '.template'];
+
+/**
+ * Splits a value into lowercase words, at separators and case changes, e.g. `myTool-v2` into my, tool and v2
+ *
+ * @param {*} value - The value
+ * @returns {string[]} - The words
+ */
+function words(value) {
+  return String(value ?? '')
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z\d]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Helpers available to every template. Handlebars passes its options as the last argument of each helper.
+export const TEMPLATE_HELPERS = {
+  // Case conversions, e.g. {{pascalCase bin}} for a class name
+  camelCase: value => words(value).map((word, index) => (index === 0 ? word : capitalize(word))).join(''),
+  pascalCase: value => words(value).map(capitalize).join(''),
+  kebabCase: value => words(value).join('-'),
+  snakeCase: value => words(value).join('_'),
+  constantCase: value => words(value).join('_').toUpperCase(),
+  upperCase: value => String(value ?? '').toUpperCase(),
+  lowerCase: value => String(value ?? '').toLowerCase(),
+
+  // The value as JSON, e.g. "description": {{json description}}
+  json: (value, options) => new Handlebars.SafeString(JSON.stringify(value ?? null, null, options.hash.indent)),
+
+  // Date stamps of the generation
+  year: () => new Date().getFullYear(),
+  date: () => new Date().toISOString().slice(0, 10),
+
+  // Comparisons, e.g. {{#if (eq license "MIT")}} or {{#ifEq license "MIT"}}...{{else}}...{{/ifEq}}
+  eq: (a, b) => a === b,
+  ifEq(a, b, options) {
+    return a === b ? options.fn(this) : options.inverse(this);
+  },
+
+  // Whether a list or a string contains a value, e.g. {{#if (includes features "colors")}}
+  includes: (collection, value) => (Array.isArray(collection) || typeof collection === 'string')
+    && collection.includes(value),
+
+  // A value escaped for a context, e.g. {{escape description "js"}} for a JS string in a Markdown file
+  escape: (value, context) => {
+    if (!ESCAPE_CONTEXTS[context]) {
+      throw new Error(`Unknown escape context "${context}", use one of ${Object.keys(ESCAPE_CONTEXTS).join(', ')}`);
+    }
+    return new Handlebars.SafeString(escapeValue(value, context));
+  }
+};
+
+/**
+ * Creates the renderer of the files of a template
+ *
+ * The renderer has the template helpers, and the partials of the template: the files of the `_partials/` directory,
+ * named after their path without extension, e.g. `{{> license-header}}` for `_partials/license-header.hbs`.
+ *
+ * `{{value}}` expressions are escaped for the context of the rendered file, see ESCAPE_CONTEXTS, partials included.
+ * `{{{value}}}` expressions are rendered as-is.
+ *
+ * @param {string} [templateDir] - The template directory, whose partials are registered
+ * @returns {Promise<Function>} - Renders a template source with variables, in an escape context (default: `none`)
+ */
+export async function createRenderer(templateDir) {
+  const handlebars = Handlebars.create();
+  handlebars.registerHelper(TEMPLATE_HELPERS);
+
+  const partialSources = {};
+  const partialsDir = templateDir && path.join(templateDir, PARTIALS_DIR);
+  if (partialsDir && await fs.pathExists(partialsDir)) {
+    for (const file of await listFiles(partialsDir)) {
+      const extension = PARTIAL_EXTENSIONS.find(candidate => file.endsWith(candidate)) || path.extname(file);
+      const name = file.slice(0, file.length - extension.length).split(path.sep).join('/');
+      partialSources[name] = await fs.readFile(path.join(partialsDir, file), 'utf8');
+    }
+  }
+
+  const compile = (source, context) => {
+    const ast = handlebars.parse(source);
+    escapeExpressions(ast, context, handlebars.helpers);
+    return handlebars.compile(ast, { noEscape: true });
+  };
+
+  // Partials are compiled for each context they are rendered in
+  const partials = {};
+  const getPartials = (context) => {
+    partials[context] ??= Object.fromEntries(
+      Object.entries(partialSources).map(([name, source]) => [name, compile(source, context)])
+    );
+    return partials[context];
+  };
+
+  return (source, variables, context = 'none') => compile(source, context)(variables, {
+    partials: getPartials(context)
+  });
+}
+
+/**
+ * Wraps the escaped expressions of a template in the `escape` helper, so they are escaped for a context
+ *
+ * @param {Object} node - The Handlebars AST node, the parsed template at first
+ * @param {string} context - One of ESCAPE_CONTEXTS
+ * @param {Object} helpers - The registered helpers
+ */
+function escapeExpressions(node, context, helpers) {
+  if (!node || typeof node !== 'object' || context === 'none') {
+    return;
+  }
+
+  if (node.type === 'MustacheStatement' && node.escaped) {
+    // Helpers are called through a sub-expression, other paths are looked up as they are
+    const { path: expression, params, hash, loc } = node;
+    const isHelper = params.length > 0 || hash || (expression.type === 'PathExpression' && expression.depth === 0
+      && !expression.data && expression.parts.length === 1 && helpers[expression.parts[0]]);
+    const value = isHelper ? { type: 'SubExpression', path: expression, params, hash, loc } : expression;
+
+    node.path = { type: 'PathExpression', data: false, depth: 0, parts: ['escape'], original: 'escape', loc };
+    node.params = [value, { type: 'StringLiteral', value: context, original: context, loc }];
+    node.hash = undefined;
+    return;
+  }
+
+  for (const key of ['body', 'program', 'inverse']) {
+    const child = node[key];
+    (Array.isArray(child) ? child : [child]).forEach(item => escapeExpressions(item, context, helpers));
+  }
+}
+
+/**
+ * Lists the files of a directory and its sub-directories
+ *
+ * @param {string} dir - The directory
+ * @param {string} [relativeDir] - The path of the directory relative to the listed one
+ * @returns {Promise<string[]>} - The file paths, relative to the listed directory
+ */
+async function listFiles(dir, relativeDir = '') {
+  const files = [];
+
+  for (const entry of await fs.readdir(path.join(dir, relativeDir), { withFileTypes: true })) {
+    const relativePath = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
@@ -0,0 +1,54 @@
+import fs from 'fs-extra';
+import Handlebars from 'handlebars';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory holding the license texts, one Handlebars template per SPDX identifier
+export const LICENSES_DIR = path.resolve(__dirname, '../../licenses');
+
+// Name of the generated license file
+export const LICENSE_FILE = 'LICENSE';
+
+/**
+ * Plans the LICENSE file of a project from the bundled license texts
+ *
+ * The copyright line names the author, with their email when known, or the package name when there is no author.
+ *
+ * @param {Object} projectInfo - The project information from user input
+ * @param {string} projectInfo.license - The SPDX identifier of the license, or UNLICENSED
+ * @param {string} projectInfo.name - The package name
+ * @param {string} [projectInfo.description] - The package description, used by the notices of the GPL
+ * @param {string} [projectInfo.author] - The author
+ * @param {string} [projectInfo.email] - The author email
+ * @returns {Promise<Object>} - The plan entry of the LICENSE file, as returned by planTemplate()
+ */
+export async function planLicense(projectInfo) {
+  const source = path.join(LICENSES_DIR, `${projectInfo.license}.template`);
+
+  if (!await fs.pathExists(source)) {
+    throw new Error(`No license text for "${projectInfo.license}"`);
+  }
+
+  const holder = projectInfo.author
+    ? `${projectInfo.author}${projectInfo.email ? ` <${projectInfo.email}>` : ''}`
+    : projectInfo.name;
+
+  // License texts are plain text, the author is written as given
+  const content = Handlebars.compile(await fs.readFile(source, 'utf8'), { noEscape: true })({
+    year: new Date().getFullYear(),
+    holder,
+    name: projectInfo.name,
+    description: projectInfo.description
+  });
+
+  return {
+    source,
+    path: LICENSE_FILE,
+    action: 'render',
+    size: Buffer.byteLength(content),
+    content
+  };
+}
@@ -1,19 +1,124 @@
-import chalk from 'chalk';
+import chalk, { Chalk, chalkStderr } from 'chalk';
+
+// Log levels, from the most to the least verbose. success messages are logged at the info level.
+export const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+const settings = {
+  level: 'info',
+  json: false
+};
+
+const noColor = new Chalk({ level: 0 });
+
+/**
+ * Checks whether colours are turned off with the NO_COLOR environment variable, which chalk does not read
+ *
+ * @returns {boolean} - True when NO_COLOR is set
+ */
+export function isColorDisabled() {
+  return 'NO_COLOR' in process.env;
+}
+
+/**
+ * Returns the chalk instance colouring the output written to a stream
+ *
+ * Colours follow chalk's detection of the stream, which turns them off when it is not a TTY, and NO_COLOR.
+ *
+ * @param {NodeJS.WriteStream} [stream] - The stream, stdout by default
+ * @returns {Object} - The chalk instance
+ */
+export function colors(stream = process.stdout) {
+  return isColorDisabled() ? noColor : stream === process.stderr ? chalkStderr : chalk;
+}
+
+/**
+ * Configures the logger for the whole run
+ *
+ * @param {Object} [options] - The options
+ * @param {boolean} [options.quiet] - Only log warnings and errors
+ * @param {boolean} [options.verbose] - Also log debug messages and the stack trace of errors
+ * @param {boolean} [options.json] - Write newline-delimited JSON events to stdout instead of text
+ */
+export function configureLogger({ quiet = false, verbose = false, json = false } = {}) {
+  settings.level = quiet ? 'warning' : verbose ? 'debug' : 'info';
+  settings.json = json;
+}
+
+/**
+ * Checks whether the logger writes JSON events
+ *
+ * @returns {boolean} - True in --json mode
+ */
+export function isJsonOutput() {
+  return settings.json;
+}
+
+const isEnabled = level => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+
+/**
+ * Writes a JSON event on its own line of stdout, in --json mode only
+ *
+ * @param {string} type - The event type, e.g. `file`, `step` or `error`
+ * @param {Object} [data] - The event properties
+ */
+function event(type, data = {}) {
+  if (settings.json) {
+    console.log(JSON.stringify({ type, ...data }));
+  }
+}
+
+const log = (level, label, color, message) => {
+  if (!isEnabled(level)) {
+    return;
+  }
+  if (settings.json) {
+    event('log', { level: label, message });
+    return;
+  }
+
+  if (level === 'error') {
+    console.error(`${colors(process.stderr)[color](label)}: ${message}`);
+  } else {
+    console.log(`${colors(process.stdout)[color](label)}: ${message}`);
+  }
+};
 
 export const logger = {
-  info: (message) => {
-    console.log(chalk.blue('info') + ': ' + message);
-  },
-  success: (message) => {
-    console.log(chalk.green('success') + ': ' + message);
-  },
-  warning: (message) => {
-    console.log(chalk.yellow('warning') + ': ' + message);
-  },
+  debug: (message) => log('debug', 'debug', 'gray', message),
+  info: (message) => log('info', 'info', 'blue', message),
+  success: (message) => log('info', 'success', 'green', message),
+  warning: (message) => log('warning', 'warning', 'yellow', message),
+
+  /**
+   * Logs an error, with the end of its command output when it has one and its stack trace in verbose mode
+   *
+   * In --json mode a single `error` event is written, with the `code` of the error.
+   *
+   * @param {string} message - The error message
+   * @param {Error} [error] - The error
+   */
   error: (message, error) => {
-    console.error(chalk.red('error') + ': ' + message);
-    if (error) {
-      console.error(error);
+    if (settings.json) {
+      const output = error?.output || error?.cause?.output;
+      event('error', {
+        code: error?.code || 'ERROR',
+        message,
+        ...(error?.step && { step: error.step }),
+        ...(error?.problems && { problems: error.problems }),
+        ...(output?.length > 0 && { output })
+      });
+      return;
     }
-  }
+
+    log('error', 'error', 'red', message);
+    // Verbose runs already streamed the command output
+    if (error?.output?.length > 0 && !isEnabled('debug')) {
+      console.error(error.output.join('\n'));
+    }
+    if (error?.stack && isEnabled('debug')) {
+      console.error(error.stack);
+    }
+  },
+
+  event
 };
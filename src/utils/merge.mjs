@@ -0,0 +1,78 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Suffix of the generated copy written next to an existing file when keeping both
+export const KEEP_BOTH_SUFFIX = '.new';
+
+/**
+ * Finds the staged files that collide with different existing files in the target directory
+ *
+ * @param {string} stagingDir - The directory holding the generated project
+ * @param {string} targetDir - The existing project directory
+ * @returns {Promise<Object[]>} - The conflicts, each with the file `path` relative to the project and the
+ *   `staged` and `existing` absolute paths
+ */
+export async function findConflicts(stagingDir, targetDir) {
+  const conflicts = [];
+
+  const walk = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(stagingDir, relativeDir), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = path.join(relativeDir, entry.name);
+      const staged = path.join(stagingDir, relativePath);
+      const existing = path.join(targetDir, relativePath);
+
+      // Links are not followed, a dangling link is still in the way
+      const existingStats = await fs.lstat(existing).catch(() => null);
+      if (!existingStats) {
+        continue;
+      }
+
+      const existingIsDirectory = existingStats.isDirectory();
+      if (entry.isDirectory() !== existingIsDirectory) {
+        throw new Error(`Cannot merge ${relativePath}: a ${existingIsDirectory ? 'directory' : 'file'} exists in its place`);
+      }
+
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isSymbolicLink() || existingStats.isSymbolicLink()) {
+        // Links are the same when they point at the same target
+        if (!existingStats.isSymbolicLink() || !entry.isSymbolicLink()
+          || await fs.readlink(staged) !== await fs.readlink(existing)) {
+          conflicts.push({ path: relativePath, staged, existing });
+        }
+      } else if (!(await fs.readFile(staged)).equals(await fs.readFile(existing))) {
+        conflicts.push({ path: relativePath, staged, existing });
+      }
+    }
+  };
+
+  await walk('');
+  return conflicts;
+}
+
+/**
+ * Applies the resolution of a conflict to the staged project
+ *
+ * - overwrite: the generated file replaces the existing one
+ * - skip: the existing file is kept and the generated file discarded
+ * - keep-both: the existing file is kept and the generated file is written next to it with a `.new` suffix
+ *
+ * @param {Object} conflict - The conflict from findConflicts()
+ * @param {string} resolution - 'overwrite', 'skip' or 'keep-both'
+ */
+export async function resolveConflict(conflict, resolution) {
+  switch (resolution) {
+    case 'overwrite':
+      break;
+    case 'skip':
+      await fs.remove(conflict.staged);
+      break;
+    case 'keep-both':
+      await fs.move(conflict.staged, conflict.staged + KEEP_BOTH_SUFFIX, { overwrite: true });
+      break;
+    default:
+      throw new Error(`Unknown conflict resolution "${resolution}"`);
+  }
+}
@@ -1,21 +1,258 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
+import { builtinModules } from 'module';
+import readline from 'readline';
 import fs from 'fs-extra';
 import path from 'path';
-import { logger } from './logger.mjs';
+import { CommandError } from '../errors.mjs';
+import { getInstallCommand } from './package-manager.mjs';
 
-const execPromise = promisify(exec);
+// Seconds allowed for installing dependencies by default
+export const DEFAULT_INSTALL_TIMEOUT = 600;
+
+// Number of lines of error output shown when the installation fails
+const STDERR_TAIL_LINES = 20;
+
+// Scripts of the generated project run to verify it, in order
+export const VERIFY_SCRIPTS = ['lint', 'test'];
+
+// Number of lines of output shown for each script failing the verification
+const SCRIPT_TAIL_LINES = 40;
+
+// Maximum length of an npm package name
+const MAX_PACKAGE_NAME_LENGTH = 214;
+
+/**
+ * Validates an npm package name, including scoped names such as `@acme/tool`
+ *
+ * Follows the rules npm applies to new packages: lowercase, URL-safe, at most 214 characters, not starting with
+ * a dot or an underscore and not the name of a Node.js core module.
+ *
+ * @param {string} name - The package name
+ * @returns {boolean|string} - True if valid, otherwise the reason the name is invalid
+ */
+export function validatePackageName(name) {
+  if (typeof name !== 'string' || name.length === 0) {
+    return 'Package name cannot be empty';
+  }
+  if (name.length > MAX_PACKAGE_NAME_LENGTH) {
+    return `Package name cannot be longer than ${MAX_PACKAGE_NAME_LENGTH} characters`;
+  }
+  if (name.trim() !== name) {
+    return 'Package name cannot start or end with spaces';
+  }
+  if (name !== name.toLowerCase()) {
+    return 'Package name cannot contain uppercase letters';
+  }
+
+  const scoped = name.match(/^@([^/]+)\/([^/]+)$/);
+  if (name.startsWith('@') && !scoped) {
+    return 'Scoped package name must look like @scope/name';
+  }
+
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+  for (const part of parts) {
+    if (part.startsWith('.') || part.startsWith('_')) {
+      return 'Package name cannot start with a dot or an underscore';
+    }
+    if (encodeURIComponent(part) !== part || /[~'!()*]/.test(part)) {
+      return 'Package name can only contain URL-safe characters (use lowercase with hyphens)';
+    }
+  }
+
+  if (!scoped && (builtinModules.includes(name) || ['node_modules', 'favicon.ico'].includes(name))) {
+    return `Package name "${name}" is reserved`;
+  }
+
+  return true;
+}
+
+/**
+ * Returns the package name without its scope, e.g. `tool` for `@acme/tool`
+ *
+ * @param {string} name - The package name
+ * @returns {string} - The unscoped package name
+ */
+export function getUnscopedName(name) {
+  return name.startsWith('@') ? name.slice(name.indexOf('/') + 1) : name;
+}
+
+/**
+ * Installs the dependencies of the project with the chosen package manager
+ *
+ * The installation is stopped once the timeout elapses or the signal aborts. Its output is reported line by line,
+ * and the end of its error output is kept on the error thrown when it fails.
+ *
+ * @param {string} targetDir - The project directory
+ * @param {Object} packageManager - The package manager from getPackageManager()
+ * @param {Object} [options] - The options
+ * @param {number} [options.timeout] - Seconds allowed before the installation is stopped
+ * @param {boolean} [options.offline] - Install from the cache only
+ * @param {boolean} [options.preferOffline] - Install from the cache, fetching what is missing from it
+ * @param {string} [options.cacheDir] - Cache directory used instead of the package manager's own
+ * @param {AbortSignal} [options.signal] - Stops the installation when aborted
+ * @param {Function} [options.onLine] - Called with each output line and whether it was written to stderr
+ * @returns {Promise<void>} - Resolves once the dependencies are installed, rejects with a CommandError otherwise
+ */
+export async function installDependencies(targetDir, packageManager, options = {}) {
+  const { timeout = DEFAULT_INSTALL_TIMEOUT, signal, onLine = () => {} } = options;
+  const command = getInstallCommand(packageManager, options);
+  const stderrTail = [];
 
-export async function installDependencies(targetDir) {
   try {
-    logger.info('Installing dependencies... This might take a few minutes.');
-    await execPromise('npm install', { cwd: targetDir });
-    logger.success('Dependencies installed successfully');
-    return true;
+    await runCommand(command, {
+      cwd: targetDir,
+      timeout,
+      signal,
+      onLine: (line, isStderr) => {
+        if (isStderr) {
+          stderrTail.push(line);
+          if (stderrTail.length > STDERR_TAIL_LINES) {
+            stderrTail.shift();
+          }
+        }
+        onLine(line, isStderr);
+      }
+    });
   } catch (error) {
-    logger.error('Failed to install dependencies', error);
-    return false;
+    throw new CommandError(error.message, stderrTail);
+  }
+}
+
+/**
+ * Verifies the generated project works by running its lint and test scripts
+ *
+ * Every script runs, even after one failed, so the summary covers all of them. Scripts the project does not define
+ * are skipped. The dependencies must be installed.
+ *
+ * @param {string} targetDir - The project directory
+ * @param {Object} packageManager - The package manager from getPackageManager()
+ * @param {Object} [options] - The options
+ * @param {number} [options.timeout] - Seconds allowed for each script before it is stopped
+ * @param {AbortSignal} [options.signal] - Stops the running script when aborted
+ * @param {Function} [options.onLine] - Called with each output line and whether it was written to stderr
+ * @param {Function} [options.onScript] - Called with the result of each script once it ran
+ * @returns {Promise<Object[]>} - The result of each script, with its `script` name, `status` ('passed', 'skipped' or
+ *   'failed') and `error` message when it failed. Rejects with a CommandError holding the end of the output of the
+ *   failed scripts when one of them failed.
+ */
+export async function verifyProject(targetDir, packageManager, options = {}) {
+  const { timeout = DEFAULT_INSTALL_TIMEOUT, signal, onLine = () => {}, onScript = () => {} } = options;
+  const { scripts = {} } = await fs.readJson(path.join(targetDir, 'package.json'));
+  const results = [];
+  const output = [];
+
+  for (const script of VERIFY_SCRIPTS) {
+    const command = [...packageManager.run.split(' '), script];
+    const result = { script, status: 'passed' };
+    const tail = [];
+
+    if (!scripts[script]) {
+      result.status = 'skipped';
+    } else {
+      try {
+        await runCommand(command, {
+          cwd: targetDir,
+          timeout,
+          signal,
+          onLine: (line, isStderr) => {
+            tail.push(line);
+            if (tail.length > SCRIPT_TAIL_LINES) {
+              tail.shift();
+            }
+            onLine(line, isStderr);
+          }
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        result.status = 'failed';
+        result.error = error.message;
+        output.push(`> ${command.join(' ')}`, ...tail);
+      }
+    }
+
+    results.push(result);
+    onScript(result);
+  }
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new CommandError(failed.map(result => result.error).join(', '), output);
   }
+
+  return results;
+}
+
+/**
+ * Runs a command without a shell, reporting its output line by line
+ *
+ * @param {string[]} commandLine - The command and its arguments
+ * @param {Object} options - The options
+ * @param {string} options.cwd - The working directory
+ * @param {number} options.timeout - Seconds allowed before the command is stopped
+ * @param {AbortSignal} [options.signal] - Stops the command when aborted
+ * @param {Function} options.onLine - Called with each output line and whether it was written to stderr
+ * @returns {Promise<void>} - Resolves when the command succeeds, rejects when it fails, times out or is aborted
+ */
+function runCommand(commandLine, { cwd, timeout, signal, onLine }) {
+  const [command, ...args] = commandLine;
+  const displayed = commandLine.join(' ');
+
+  return new Promise((resolve, reject) => {
+    // Package managers are .cmd scripts on Windows, which only run through a shell. Elsewhere the command runs in
+    // its own process group, so stopping it also stops the scripts it started.
+    const isWindows = process.platform === 'win32';
+    const child = spawn(command, args, { cwd, shell: isWindows, detached: !isWindows });
+    let timedOut = false;
+
+    const stop = () => {
+      try {
+        if (isWindows) {
+          child.kill();
+        } else {
+          process.kill(-child.pid, 'SIGTERM');
+        }
+      } catch {
+        // The command already exited
+      }
+    };
+
+    // The process group does not receive the terminal's Ctrl+C, so it is stopped when the generator exits or the
+    // generation is aborted
+    process.on('exit', stop);
+    signal?.addEventListener('abort', stop);
+    const cleanUp = () => {
+      clearTimeout(timer);
+      process.off('exit', stop);
+      signal?.removeEventListener('abort', stop);
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout * 1000);
+
+    for (const stream of [child.stdout, child.stderr]) {
+      readline.createInterface({ input: stream }).on('line', line => onLine(line, stream === child.stderr));
+    }
+
+    child.on('error', (error) => {
+      cleanUp();
+      reject(error.code === 'ENOENT' ? new Error(`${command} was not found, is it installed?`) : error);
+    });
+
+    child.on('close', (code, signalName) => {
+      cleanUp();
+      if (timedOut) {
+        reject(new Error(`${displayed} timed out after ${timeout}s`));
+      } else if (code !== 0) {
+        reject(new Error(`${displayed} ${signalName ? `was stopped by ${signalName}` : `exited with code ${code}`}`));
+      } else {
+        resolve();
+      }
+    });
+  });
 }
 
 /**
@@ -24,35 +261,35 @@ export async function installDependencies(targetDir) {
  * @param {string} targetDir - The directory containing the package.json file
  * @param {Object} projectInfo - The project information from user input
  * @param {string} projectInfo.name - The project name
+ * @param {string} [projectInfo.bin] - The command name, defaults to the unscoped project name
  * @param {string} projectInfo.description - The project description
  * @param {string} projectInfo.author - The project author
  * @param {string} projectInfo.license - The project license
- * @returns {Promise<boolean>} - True if successful, false otherwise
+ * @param {string} [entry] - The executable the bin points at, relative to the project, e.g. the compiled output of
+ *   TypeScript templates
  */
-export async function updatePackageJson(targetDir, projectInfo) {
-  try {
-    const packageJsonPath = path.join(targetDir, 'package.json');
-
-    // Read the existing package.json
-    const packageJson = await fs.readJson(packageJsonPath);
+export async function updatePackageJson(targetDir, projectInfo, entry = 'index.mjs') {
+  const packageJsonPath = path.join(targetDir, 'package.json');
 
-    // Update package.json with project info
-    packageJson.name = projectInfo.name;
-    packageJson.description = projectInfo.description;
-    packageJson.author = projectInfo.author;
-    packageJson.license = projectInfo.license;
+  // Read the existing package.json
+  const packageJson = await fs.readJson(packageJsonPath);
 
-    // Update bin field to use the project name
-    packageJson.bin = {
-      [projectInfo.name]: 'index.mjs'
-    };
+  // Update package.json with project info
+  packageJson.name = projectInfo.name;
+  packageJson.description = projectInfo.description;
+  packageJson.author = projectInfo.author;
+  packageJson.license = projectInfo.license;
 
-    // Write back to file
-    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
-    logger.success('Updated package.json with project information');
-    return true;
-  } catch (error) {
-    logger.error('Failed to update package.json', error);
-    return false;
+  // Proprietary code must not be published by mistake
+  if (projectInfo.license === 'UNLICENSED') {
+    packageJson.private = true;
   }
+
+  // Update bin field to use the command name, scoped packages cannot be used as command names
+  packageJson.bin = {
+    [projectInfo.bin || getUnscopedName(projectInfo.name)]: entry
+  };
+
+  // Write back to file
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
 }
@@ -0,0 +1,153 @@
+import path from 'path';
+import { InvalidOptionsError } from '../errors.mjs';
+
+// Commands, offline flags and CI setup of each supported package manager. `cacheOptions` point the install at a
+// cache directory, bun has no offline mode.
+export const PACKAGE_MANAGERS = {
+  npm: {
+    lockfile: 'package-lock.json',
+    install: 'npm install',
+    globalInstall: 'npm install --global',
+    frozenInstall: 'npm ci',
+    run: 'npm run',
+    start: 'npm start',
+    link: 'npm link',
+    offline: '--offline',
+    preferOffline: '--prefer-offline',
+    cacheOptions: dir => ['--cache', dir],
+    cache: 'npm'
+  },
+  pnpm: {
+    lockfile: 'pnpm-lock.yaml',
+    install: 'pnpm install',
+    globalInstall: 'pnpm add --global',
+    frozenInstall: 'pnpm install --frozen-lockfile',
+    run: 'pnpm run',
+    start: 'pnpm start',
+    link: 'pnpm link --global',
+    offline: '--offline',
+    preferOffline: '--prefer-offline',
+    cacheOptions: dir => ['--store-dir', path.join(dir, 'store'), '--cache-dir', path.join(dir, 'metadata')],
+    cache: 'pnpm',
+    setupAction: 'pnpm/action-setup@v4',
+    setupVersionInput: 'version'
+  },
+  yarn: {
+    lockfile: 'yarn.lock',
+    install: 'yarn install',
+    globalInstall: 'yarn global add',
+    frozenInstall: 'yarn install --frozen-lockfile',
+    run: 'yarn run',
+    start: 'yarn start',
+    link: 'yarn link',
+    offline: '--offline',
+    preferOffline: '--prefer-offline',
+    cacheOptions: dir => ['--cache-folder', dir],
+    cache: 'yarn'
+  },
+  bun: {
+    lockfile: 'bun.lock',
+    install: 'bun install',
+    globalInstall: 'bun add --global',
+    frozenInstall: 'bun install --frozen-lockfile',
+    run: 'bun run',
+    start: 'bun run start',
+    link: 'bun link',
+    setupAction: 'oven-sh/setup-bun@v2',
+    setupVersionInput: 'bun-version'
+  }
+};
+
+/**
+ * Detects the package manager running the generator from the user agent it sets, e.g. `pnpm/9.1.0 npm/? node/v20.11.0`
+ *
+ * @param {string} [userAgent] - The user agent, read from npm_config_user_agent by default
+ * @returns {{name: string, version: string}|null} - The package manager and its version, null when unknown
+ */
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const match = /^([^/\s]+)\/(\S+)/.exec(userAgent || '');
+
+  if (!match || !PACKAGE_MANAGERS[match[1]]) {
+    return null;
+  }
+
+  return { name: match[1], version: match[2] };
+}
+
+/**
+ * Returns the commands used to install and run a project with a package manager
+ *
+ * Frozen installs and the CI dependency cache need a lockfile, so they are only used when the dependencies are
+ * installed while generating the project and the lockfile is committed with it.
+ *
+ * @param {string} name - The package manager, one of PACKAGE_MANAGERS
+ * @param {Object} [options] - The options
+ * @param {string} [options.version] - The package manager version, pinned in CI when known
+ * @param {boolean} [options.lockfile] - Whether the project has a lockfile
+ * @returns {Object} - The package manager with its `name`, `version`, `lockfile` and commands, `ciInstall` and
+ *   `ciCache` being the install command and setup-node cache to use in CI
+ */
+export function getPackageManager(name, { version, lockfile = true } = {}) {
+  const packageManager = PACKAGE_MANAGERS[name];
+
+  if (!packageManager) {
+    throw new InvalidOptionsError(`Unknown package manager "${name}". Available package managers: ${Object.keys(PACKAGE_MANAGERS).join(', ')}`);
+  }
+
+  // Yarn 2 and later replaced --frozen-lockfile with --immutable
+  const frozenInstall = name === 'yarn' && parseInt(version, 10) >= 2
+    ? 'yarn install --immutable'
+    : packageManager.frozenInstall;
+
+  return {
+    ...packageManager,
+    name,
+    version: version || 'latest',
+    frozenInstall,
+    ciInstall: lockfile ? frozenInstall : packageManager.install,
+    ciCache: lockfile ? packageManager.cache : undefined
+  };
+}
+
+/**
+ * Chooses a package manager, falling back to the one running the generator, then npm
+ *
+ * @param {string} [name] - The package manager asked for
+ * @param {Object} [options] - The options passed to getPackageManager()
+ * @returns {Object} - The package manager from getPackageManager()
+ */
+export function resolvePackageManager(name, options = {}) {
+  const detected = detectPackageManager();
+  const resolved = name || detected?.name || 'npm';
+  const version = detected?.name === resolved ? detected.version : undefined;
+
+  return getPackageManager(resolved, { ...options, version });
+}
+
+/**
+ * Returns the command installing dependencies, with its arguments
+ *
+ * @param {Object} packageManager - The package manager from getPackageManager()
+ * @param {Object} [options] - The options
+ * @param {boolean} [options.offline] - Install from the cache only
+ * @param {boolean} [options.preferOffline] - Install from the cache, fetching what is missing from it
+ * @param {string} [options.cacheDir] - Cache directory used instead of the package manager's own
+ * @returns {string[]} - The command and its arguments
+ */
+export function getInstallCommand(packageManager, { offline, preferOffline, cacheDir } = {}) {
+  const command = packageManager.install.split(' ');
+
+  if ((offline || preferOffline || cacheDir) && !packageManager.offline) {
+    throw new InvalidOptionsError(`${packageManager.name} does not support offline installs`);
+  }
+  if (offline) {
+    command.push(packageManager.offline);
+  } else if (preferOffline) {
+    command.push(packageManager.preferOffline);
+  }
+  if (cacheDir) {
+    command.push(...packageManager.cacheOptions(path.resolve(cacheDir)));
+  }
+
+  return command;
+}
@@ -0,0 +1,58 @@
+import path from 'path';
+
+/**
+ * Formats a size in bytes for display
+ *
+ * @param {number} size - The size in bytes
+ * @returns {string} - The human-readable size
+ */
+export function formatSize(size) {
+  return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Formats planned files as a directory tree, with the size of each file, whether it is rendered or copied and
+ * executable, and the target of links
+ *
+ * @param {Object[]} files - The planned files from planTemplate()
+ * @param {string} rootName - The name displayed for the root directory
+ * @returns {string} - The tree, one line per file or directory
+ */
+export function formatFileTree(files, rootName) {
+  // Build a nested structure of directories and files
+  const root = { children: new Map() };
+  for (const file of files) {
+    const parts = file.path.split(path.sep);
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map() });
+      }
+      node = node.children.get(part);
+    }
+    node.children.set(parts[parts.length - 1], { file });
+  }
+
+  const lines = [`${rootName}/`];
+  const walk = (node, prefix) => {
+    const entries = [...node.children.entries()].sort(([a], [b]) => a.localeCompare(b));
+    entries.forEach(([name, child], index) => {
+      const isLast = index === entries.length - 1;
+      const branch = isLast ? '└── ' : '├── ';
+
+      if (child.file?.action === 'link') {
+        lines.push(`${prefix}${branch}${name} -> ${child.file.target}`);
+      } else if (child.file) {
+        const action = child.file.action === 'render' ? 'rendered' : 'copied';
+        const executable = child.file.mode & 0o100 ? ', executable' : '';
+        lines.push(`${prefix}${branch}${name} (${formatSize(child.file.size)}, ${action}${executable})`);
+      } else {
+        lines.push(`${prefix}${branch}${name}/`);
+        walk(child, prefix + (isLast ? '    ' : '│   '));
+      }
+    });
+  };
+  walk(root, '');
+
+  return lines.join('\n');
+}
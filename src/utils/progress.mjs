@@ -0,0 +1,81 @@
+import ora from 'ora';
+import { isColorDisabled, isJsonOutput, logger } from './logger.mjs';
+
+// Steps running a command, shown with a spinner or their streamed output and with that output when they fail
+export const COMMAND_STEPS = ['install dependencies', 'verify project'];
+
+// Verbs logged for the generated files, by action
+const FILE_ACTIONS = { render: 'Created', copy: 'Copied', link: 'Linked' };
+
+/**
+ * Creates the reporter printing the progress events of createProject() on the console
+ *
+ * The dependency installation and the verification show their latest output line next to a spinner, or stream their
+ * output in verbose mode.
+ * Generated files, resolved conflicts and the outcome of each step are logged. In --json mode every event is written
+ * as a JSON event instead, the installation output only in verbose mode.
+ *
+ * @param {Object} [options] - The options
+ * @param {boolean} [options.verbose] - Stream the installation output instead of showing a spinner
+ * @param {boolean} [options.quiet] - Hide the spinner
+ * @returns {Object} - The reporter, with `onProgress` receiving the events and `stop` stopping the spinner
+ */
+export function createProgressReporter({ verbose = false, quiet = false } = {}) {
+  let spinner = null;
+  let label = '';
+
+  const stop = () => {
+    spinner?.stop();
+    spinner = null;
+  };
+
+  const onJsonProgress = (event) => {
+    const { type, ...data } = event;
+    if (['info', 'success', 'warning'].includes(type)) {
+      logger[type](event.message);
+    } else if (type !== 'output' || verbose) {
+      logger.event(type, data);
+    }
+  };
+
+  const onProgress = (event) => {
+    if (isJsonOutput()) {
+      onJsonProgress(event);
+      return;
+    }
+
+    if (event.type === 'output') {
+      if (verbose) {
+        (event.stderr ? process.stderr : process.stdout).write(`${event.line}\n`);
+      } else if (spinner && event.line.trim()) {
+        const width = (process.stderr.columns || 80) - label.length - 5;
+        spinner.text = `${label}: ${event.line.trim().slice(0, Math.max(width, 10))}`;
+      }
+      return;
+    }
+
+    stop();
+    if (event.type === 'step' && event.status === 'started' && COMMAND_STEPS.includes(event.step)) {
+      label = event.message;
+      if (verbose) {
+        logger.info(`${label}...`);
+      } else if (!quiet) {
+        spinner = ora({
+          text: `${label}... This might take a few minutes.`,
+          // NO_COLOR also stops the animation, the label is printed once
+          ...(isColorDisabled() && { color: false, isEnabled: false })
+        }).start();
+      }
+    } else if (event.type === 'step' && event.status === 'started') {
+      logger.debug(`${event.message}...`);
+    } else if (event.type === 'file') {
+      logger.info(`${FILE_ACTIONS[event.action]} ${event.path}`);
+    } else if (event.type === 'conflict') {
+      logger[event.resolution === 'overwrite' ? 'warning' : 'info'](event.message);
+    } else if (['info', 'success', 'warning'].includes(event.type)) {
+      logger[event.type](event.message);
+    }
+  };
+
+  return { onProgress, stop };
+}
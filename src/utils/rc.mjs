@@ -0,0 +1,116 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { LICENSES } from '../prompts/questions.mjs';
+import { PACKAGE_MANAGERS } from './package-manager.mjs';
+
+// Name of the rc file in the user's home directory
+export const RC_FILE_NAME = '.create-cli-templaterc';
+
+// Keys the rc file can hold, with the type or the allowed values of each
+export const RC_KEYS = {
+  author: 'string',
+  email: 'string',
+  license: LICENSES.map(license => license.value),
+  template: 'string',
+  packageManager: Object.keys(PACKAGE_MANAGERS),
+  git: 'boolean',
+  install: 'boolean'
+};
+
+// Command options whose defaults come from the rc file
+const RC_OPTIONS = ['template', 'packageManager', 'git', 'install'];
+
+/**
+ * Returns the path of the user's rc file
+ *
+ * @returns {string} - The rc file path
+ */
+export function getRcPath() {
+  return path.join(os.homedir(), RC_FILE_NAME);
+}
+
+/**
+ * Reads the user's defaults from the rc file
+ *
+ * @returns {Promise<Object>} - The defaults, empty if there is no rc file
+ */
+export async function readRc() {
+  const rcPath = getRcPath();
+
+  if (!await fs.pathExists(rcPath)) {
+    return {};
+  }
+
+  // Parsed here rather than with fs.readJson(), whose errors would repeat the path
+  try {
+    return JSON.parse(await fs.readFile(rcPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${rcPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the user's defaults to the rc file
+ *
+ * @param {Object} rc - The defaults
+ * @returns {Promise<void>}
+ */
+export async function writeRc(rc) {
+  await fs.writeJson(getRcPath(), rc, { spaces: 2 });
+}
+
+/**
+ * Checks that a key can be stored in the rc file
+ *
+ * @param {string} key - The rc key
+ */
+export function assertRcKey(key) {
+  if (!Object.keys(RC_KEYS).includes(key)) {
+    throw new Error(`Unknown config key "${key}". Available keys: ${Object.keys(RC_KEYS).join(', ')}`);
+  }
+}
+
+/**
+ * Parses and validates a value given on the command line for an rc key
+ *
+ * @param {string} key - The rc key
+ * @param {string} value - The value as text
+ * @returns {string|boolean} - The value, booleans for git and install
+ */
+export function parseRcValue(key, value) {
+  assertRcKey(key);
+  const type = RC_KEYS[key];
+
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value)) {
+      throw new Error(`Config key "${key}" must be true or false`);
+    }
+    return value === 'true';
+  }
+
+  if (Array.isArray(type) && !type.includes(value)) {
+    throw new Error(`Config key "${key}" must be one of ${type.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Uses the rc file values as defaults for the options of a command
+ *
+ * Only options left to their default, or without a default, are changed, so options given on the command line
+ * take precedence.
+ *
+ * @param {import('commander').Command} command - The command about to run
+ * @returns {Promise<void>}
+ */
+export async function applyRcDefaults(command) {
+  const rc = await readRc();
+
+  for (const key of RC_OPTIONS) {
+    if (rc[key] !== undefined && [undefined, 'default'].includes(command.getOptionValueSource(key))) {
+      command.setOptionValueWithSource(key, rc[key], 'config');
+    }
+  }
+}
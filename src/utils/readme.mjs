@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import Handlebars from 'handlebars';
+import path from 'path';
+
+// A quoted JS string, with the quote in the first group and the text in the second
+const STRING = String.raw`(['"\x60])((?:\\.|(?!\1).)*)\1`;
+
+// Chained calls declaring a command, its arguments and its description
+const COMMAND_CALL = new RegExp(String.raw`\.command\(\s*${STRING}`, 'g');
+const ARGUMENT_CALL = new RegExp(String.raw`\.argument\(\s*${STRING}`, 'g');
+const DESCRIPTION_CALL = new RegExp(String.raw`\.description\(\s*${STRING}`);
+
+// Exports of a command module in a command registry
+const NAME_EXPORT = new RegExp(String.raw`export const name\s*=\s*${STRING}`);
+const DESCRIPTION_EXPORT = new RegExp(String.raw`export const description\s*=\s*${STRING}`);
+
+// Extensions of the command modules, the registry loading the modules of its directory is the index file
+const COMMAND_EXTENSIONS = ['.mjs', '.ts'];
+
+// Directory of the command modules, relative to the project
+export const COMMANDS_DIR = path.join('src', 'commands');
+
+// Renders templates without helpers, partials or escaping when no renderer is given
+const renderTemplate = (source, variables) => Handlebars.compile(source, { noEscape: true })(variables);
+
+// Removes the backslashes escaping characters of a JS string
+const unescapeString = text => text.replace(/\\(.)/g, '$1');
+
+/**
+ * Lists the commands registered by a Commander entry file, without running it
+ *
+ * Only the body of registerCommands() is read when the file has one, so commands registered elsewhere are ignored.
+ *
+ * @param {string} source - The source of the entry file
+ * @returns {Object[]} - The commands, each with its `name`, `usage` (the name followed by its arguments) and
+ *   `description`
+ */
+export function parseCommands(source) {
+  const start = source.search(/function registerCommands\s*\(/);
+  const body = start === -1 ? source : source.slice(start, source.indexOf('\n}', start));
+  const calls = [...body.matchAll(COMMAND_CALL)];
+
+  return calls.map((call, index) => {
+    // The chain of a command ends where the next command starts
+    const chain = body.slice(call.index + call[0].length, calls[index + 1]?.index ?? body.length);
+    const args = [...chain.matchAll(ARGUMENT_CALL)].map(argument => unescapeString(argument[2]));
+    const usage = [call[2], ...args].join(' ');
+
+    return {
+      name: call[2].split(' ')[0],
+      usage,
+      description: unescapeString(DESCRIPTION_CALL.exec(chain)?.[2] || '')
+    };
+  });
+}
+
+/**
+ * Reads the command a command module declares, without running it
+ *
+ * @param {string} source - The source of the command module
+ * @returns {Object|null} - The command, see parseCommands(), or null if the module exports no name
+ */
+export function parseCommandModule(source) {
+  const name = NAME_EXPORT.exec(source)?.[2];
+  if (!name) {
+    return null;
+  }
+
+  return { name, usage: name, description: unescapeString(DESCRIPTION_EXPORT.exec(source)?.[2] || '') };
+}
+
+/**
+ * Finds the command registry of a project or template, src/commands/index.mjs or its TypeScript counterpart
+ *
+ * @param {string} projectDir - The project or template directory
+ * @returns {Promise<string|null>} - The extension of the registry and its command modules, e.g. `.mjs`, or null if
+ *   the project has no command registry
+ */
+export async function findCommandRegistry(projectDir) {
+  for (const extension of COMMAND_EXTENSIONS) {
+    const registryPath = path.join(projectDir, COMMANDS_DIR, `index${extension}`);
+    if (await fs.pathExists(registryPath) || await fs.pathExists(`${registryPath}.template`)) {
+      return extension;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the commands of a command registry, the modules next to its index file, see findCommandRegistry()
+ *
+ * @param {string} projectDir - The project or template directory
+ * @param {Object} [variables] - The variables rendering the modules that are templates
+ * @param {Function} [render] - Renders them, see createRenderer()
+ * @returns {Promise<Object[]|null>} - The commands sorted by name, see parseCommands(), or null if the project has
+ *   no command registry
+ */
+export async function listCommandModules(projectDir, variables = {}, render = renderTemplate) {
+  const extension = await findCommandRegistry(projectDir);
+  if (!extension) {
+    return null;
+  }
+
+  const commandsDir = path.join(projectDir, COMMANDS_DIR);
+  const commands = [];
+  for (const file of await fs.readdir(commandsDir)) {
+    const moduleName = file.replace(/\.template$/, '');
+    if (!moduleName.endsWith(extension) || moduleName.endsWith('.d.ts') || moduleName === `index${extension}`) {
+      continue;
+    }
+
+    const source = await fs.readFile(path.join(commandsDir, file), 'utf8');
+    const command = parseCommandModule(file.endsWith('.template') ? render(source, variables, 'js') : source);
+    if (command) {
+      commands.push(command);
+    }
+  }
+
+  return commands.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Collects the variables README templates use to document the project
+ *
+ * @param {string} templateDir - The template directory
+ * @param {Object} variables - The variables passed to the templates
+ * @param {Function} [render] - Renders the templates, see createRenderer()
+ * @returns {Promise<Object>} - The `commands` of the command registry or else those registered by the entry file,
+ *   see parseCommands(), and the `scripts` of the template's package.json, each with its `name` and `command`
+ */
+export async function getReadmeVariables(templateDir, variables, render = renderTemplate) {
+  let commands = await listCommandModules(templateDir, variables, render);
+  for (const file of ['index.mjs.template', 'index.mjs']) {
+    const entryPath = path.join(templateDir, file);
+    if (!commands && await fs.pathExists(entryPath)) {
+      const source = await fs.readFile(entryPath, 'utf8');
+      commands = parseCommands(file.endsWith('.template') ? render(source, variables, 'js') : source);
+      break;
+    }
+  }
+
+  const packageJsonPath = path.join(templateDir, 'package.json');
+  const { scripts = {} } = await fs.pathExists(packageJsonPath) ? await fs.readJson(packageJsonPath) : {};
+
+  return {
+    commands: commands || [],
+    scripts: Object.entries(scripts).map(([name, command]) => ({ name, command }))
+  };
+}
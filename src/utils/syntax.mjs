@@ -0,0 +1,66 @@
+import { spawn } from 'child_process';
+import path from 'path';
+
+// Languages of the rendered files whose syntax is checked, by extension
+export const CHECKED_EXTENSIONS = {
+  '.json': 'JSON',
+  '.mjs': 'JavaScript'
+};
+
+/**
+ * Checks the syntax of a rendered JSON or JavaScript module file, without running it
+ *
+ * JavaScript is checked by `node --check`, which only parses the module.
+ *
+ * @param {string} filePath - The path of the file, whose extension gives its language
+ * @param {string} content - The content of the file
+ * @returns {Promise<string|null>} - The syntax error, or null when the syntax is valid or not checked
+ */
+export async function checkSyntax(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    try {
+      JSON.parse(content);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (extension === '.mjs') {
+    return checkModule(content);
+  }
+
+  return null;
+}
+
+/**
+ * Parses an ES module with `node --check`
+ *
+ * @param {string} content - The source of the module
+ * @returns {Promise<string|null>} - The syntax error with its line, or null when the syntax is valid
+ */
+function checkModule(content) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '--check'], { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(null);
+        return;
+      }
+      // The error is reported as "[stdin]:<line>", followed by the line, a caret and "SyntaxError: <message>"
+      const line = /^\[stdin\]:(\d+)/m.exec(stderr)?.[1];
+      const message = /^SyntaxError: (.*)$/m.exec(stderr)?.[1] || stderr.trim();
+      resolve(line ? `${message} (line ${line})` : message);
+    });
+
+    child.stdin.end(content);
+  });
+}
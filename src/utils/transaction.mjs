@@ -0,0 +1,162 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { AbortError, StepError } from '../errors.mjs';
+
+/**
+ * Starts a transactional generation of a project directory
+ *
+ * The project is generated in a staging directory, moved into place by commit(). When the target does not exist
+ * the staging directory is renamed to it; when it already exists the staged files are merged into it, keeping a
+ * backup of every file they replace. finish() ends the transaction, while rollback()
+ * restores the target as it was.
+ *
+ * @param {string} targetDir - The project directory to create or merge into
+ * @param {Object} [options] - The options
+ * @param {AbortSignal} [options.signal] - Fails the running step with an AbortError once aborted
+ * @returns {Promise<Object>} - The transaction with its `stagingDir`, whether it is `merging` into an existing
+ *   directory and its `run`, `commit`, `finish` and `rollback` functions
+ */
+export async function createTransaction(targetDir, { signal } = {}) {
+  const parentDir = path.dirname(targetDir);
+  const baseName = path.basename(targetDir);
+  const merging = await fs.pathExists(targetDir);
+
+  // Remember the first missing ancestor so a rollback also removes the parent directories it created
+  let createdRoot = parentDir;
+  while (!await fs.pathExists(path.dirname(createdRoot))) {
+    createdRoot = path.dirname(createdRoot);
+  }
+  if (await fs.pathExists(createdRoot)) {
+    createdRoot = null;
+  }
+
+  await fs.ensureDir(parentDir);
+
+  // Stage next to a new target so the final move is an atomic rename on the same filesystem. Files are moved
+  // one by one into an existing target, which can be the current directory, so they are staged in a temp directory.
+  const workRoot = merging ? os.tmpdir() : parentDir;
+  const stagingDir = await fs.mkdtemp(path.join(workRoot, `.${baseName}-staging-`));
+
+  // Entries of an existing target, anything else found there on rollback was added by the generation
+  const existingEntries = merging ? await fs.readdir(targetDir) : [];
+
+  // Files and directories added to or replaced in an existing target by commit()
+  const created = [];
+  let backupDir = null;
+
+  let state = 'staged';
+
+  const undo = () => {
+    fs.removeSync(stagingDir);
+
+    if (state === 'committed' && !merging) {
+      fs.removeSync(targetDir);
+    } else if (state === 'committed') {
+      created.reverse().forEach(file => fs.removeSync(file));
+      if (backupDir) {
+        fs.copySync(backupDir, targetDir, { overwrite: true });
+        fs.removeSync(backupDir);
+      }
+      fs.readdirSync(targetDir)
+        .filter(entry => !existingEntries.includes(entry))
+        .forEach(entry => fs.removeSync(path.join(targetDir, entry)));
+    }
+
+    if (createdRoot) {
+      fs.removeSync(createdRoot);
+    }
+    state = 'done';
+  };
+
+  const mergeDirectory = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(stagingDir, relativeDir), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = path.join(relativeDir, entry.name);
+      const staged = path.join(stagingDir, relativePath);
+      const dest = path.join(targetDir, relativePath);
+      // Existing links are replaced, not followed
+      const exists = Boolean(await fs.lstat(dest).catch(() => null));
+
+      if (entry.isDirectory() && exists) {
+        await mergeDirectory(relativePath);
+        continue;
+      }
+
+      if (exists) {
+        backupDir = backupDir || await fs.mkdtemp(path.join(workRoot, `.${baseName}-backup-`));
+        await fs.move(dest, path.join(backupDir, relativePath));
+      }
+      created.push(dest);
+      await fs.move(staged, dest);
+    }
+  };
+
+  return {
+    stagingDir,
+    merging,
+
+    /**
+     * Runs a step, failing the transaction when it throws or returns false, or when the signal aborts
+     *
+     * @param {string} step - The step name reported on failure
+     * @param {Function} action - The step, called without arguments
+     * @returns {Promise<*>} - The result of the step
+     */
+    async run(step, action) {
+      let result;
+      try {
+        if (!signal?.aborted) {
+          result = await action();
+        }
+      } catch (error) {
+        if (!signal?.aborted) {
+          throw new StepError(step, error);
+        }
+      }
+      // A step stopped by the abort fails with the abort rather than with its own error
+      if (signal?.aborted) {
+        throw new AbortError(signal.reason);
+      }
+      if (result === false) {
+        throw new StepError(step);
+      }
+      return result;
+    },
+
+    /**
+     * Moves the staged project into place
+     */
+    async commit() {
+      state = 'committed';
+      if (merging) {
+        await mergeDirectory('');
+        await fs.remove(stagingDir);
+      } else {
+        // mkdtemp() creates the staging directory for its owner only, the project follows the umask
+        await fs.chmod(stagingDir, 0o777 & ~process.umask());
+        await fs.move(stagingDir, targetDir);
+      }
+    },
+
+    /**
+     * Ends the transaction once every step succeeded
+     */
+    async finish() {
+      if (backupDir) {
+        await fs.remove(backupDir);
+      }
+      state = 'done';
+    },
+
+    /**
+     * Restores the target as it was before the transaction
+     */
+    async rollback() {
+      if (state !== 'done') {
+        undo();
+      }
+    }
+  };
+}
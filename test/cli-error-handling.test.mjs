@@ -146,6 +146,24 @@ describe('CLI Error Handling and Edge Cases', () => {
     }
   });
 
+  // Test with a timeout longer than setTimeout() can wait
+  test('CLI rejects install timeouts above the setTimeout() limit', async () => {
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'timeout-project', '--yes', '--install-timeout', '3000000'],
+      inputs: [],
+      cwd: testDir,
+      timeout: 10000,
+      debug: false
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain(
+      "error: option '--install-timeout <seconds>' argument '3000000' is invalid. Expected at most 2147483 seconds."
+    );
+    expect(fs.existsSync(path.join(testDir, 'timeout-project'))).toBe(false);
+  });
+
   // Test with directory that already exists
   test('CLI handles existing directory', async () => {
     // Create a directory that will conflict
@@ -177,6 +195,121 @@ describe('CLI Error Handling and Edge Cases', () => {
     // At minimum, it should have detected the conflict
     // Even if the CLI chooses to overwrite existing files
     expect(result.stdout + result.stderr).not.toContain('Uncaught exception');
+    expect(result.stderr).toContain('Use --merge to add the project to it');
+  });
+
+  // Test with directory that already exists but is empty
+  test('CLI generates into an existing empty directory', async () => {
+    await fs.ensureDir(path.join(testDir, 'empty-project'));
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'empty-project', '--yes', '--no-git', '--no-install'],
+      inputs: [],
+      cwd: testDir,
+      timeout: 10000,
+      debug: false
+    });
+
+    expect(result.code).toBe(0);
+    expect(fs.existsSync(path.join(testDir, 'empty-project', 'index.mjs'))).toBe(true);
+  });
+
+  // Test merging into a non-empty directory
+  test('CLI merges into an existing directory keeping conflicting files', async () => {
+    const mergeDir = path.join(testDir, 'merge-project');
+    await fs.outputFile(path.join(mergeDir, 'README.md'), '# Existing README\n');
+    await fs.outputFile(path.join(mergeDir, 'notes.txt'), 'Existing notes\n');
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'merge-project', '--yes', '--merge', '--no-git', '--no-install'],
+      inputs: [],
+      cwd: testDir,
+      timeout: 10000,
+      debug: false
+    });
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Kept existing README.md');
+
+    // Existing files are kept, generated files are added
+    expect(await fs.readFile(path.join(mergeDir, 'README.md'), 'utf8')).toBe('# Existing README\n');
+    expect(await fs.readFile(path.join(mergeDir, 'notes.txt'), 'utf8')).toBe('Existing notes\n');
+    expect(fs.existsSync(path.join(mergeDir, 'index.mjs'))).toBe(true);
+    expect(fs.existsSync(path.join(mergeDir, 'tests', 'index.test.mjs'))).toBe(true);
+  });
+
+  // Test merging with an answers file, which does not prompt either
+  test('CLI merges with --config keeping conflicting files without prompting', async () => {
+    const mergeDir = path.join(testDir, 'config-merge-project');
+    const configPath = path.join(testDir, 'config-merge.json');
+    await fs.outputFile(path.join(mergeDir, 'index.mjs'), 'console.log("existing");\n');
+    await fs.writeJson(configPath, { name: 'config-merge-project' });
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), '--config', configPath, '--merge', '--no-git', '--no-install'],
+      inputs: [],
+      cwd: testDir,
+      timeout: 10000,
+      debug: false
+    });
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Kept existing index.mjs');
+    expect(await fs.readFile(path.join(mergeDir, 'index.mjs'), 'utf8')).toBe('console.log("existing");\n');
+    expect(fs.existsSync(path.join(mergeDir, 'package.json'))).toBe(true);
+  });
+
+  // Test forcing generation into a non-empty directory
+  test('CLI overwrites conflicting files with --force', async () => {
+    const forceDir = path.join(testDir, 'force-project');
+    await fs.outputFile(path.join(forceDir, 'index.mjs'), 'console.log("old");\n');
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'force-project', '--yes', '--force', '--no-git', '--no-install'],
+      inputs: [],
+      cwd: testDir,
+      timeout: 10000,
+      debug: false
+    });
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Overwrote index.mjs');
+    expect(await fs.readFile(path.join(forceDir, 'index.mjs'), 'utf8')).toContain('export async function main');
+  });
+
+  // Test that a failed merge restores the existing directory
+  test('CLI restores an existing directory when a step fails after merging', async () => {
+    const templateDir = path.join(tempDir, 'failing-merge-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'failing-merge' });
+    await fs.outputFile(path.join(templateDir, 'README.md'), '# Generated README\n');
+    await fs.outputFile(path.join(templateDir, 'src', 'cli.mjs'), 'export {};\n');
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'failing-merge',
+      scripts: { preinstall: 'node -e "process.exit(1)"' }
+    });
+
+    const restoreDir = path.join(testDir, 'restore-project');
+    await fs.outputFile(path.join(restoreDir, 'README.md'), '# Existing README\n');
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [
+        path.join(rootDir, 'index.mjs'), 'restore-project', '--yes', '--force', '--no-git', '--template', templateDir
+      ],
+      inputs: [],
+      cwd: testDir,
+      timeout: 60000,
+      debug: false
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Step "install dependencies" failed');
+    expect(await fs.readdir(restoreDir)).toEqual(['README.md']);
+    expect(await fs.readFile(path.join(restoreDir, 'README.md'), 'utf8')).toBe('# Existing README\n');
   });
 
   // Test with non-interactive mode and invalid path
@@ -209,6 +342,7 @@ describe('CLI Error Handling and Edge Cases', () => {
       '',  // Empty description (should use default)
       '',  // Empty author (should use default or system)
       '',  // Empty license (should use default)
+      '',  // Features (keep the defaults)
     ];
 
     const result = await testCLITiming({
@@ -236,6 +370,120 @@ describe('CLI Error Handling and Edge Cases', () => {
     }
   });
 
+  // Test that a failing step leaves nothing behind
+  test('CLI rolls back the project when a step fails', async () => {
+    // A template whose install fails
+    const templateDir = path.join(tempDir, 'broken-install-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'broken-install' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'broken-install',
+      scripts: { preinstall: 'node -e "process.exit(1)"' }
+    });
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'rollback-project', '--yes', '--no-git', '--template', templateDir],
+      inputs: [],
+      cwd: testDir,
+      timeout: 60000,
+      debug: false
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Step "install dependencies" failed');
+
+    // Neither the project nor its staging directory is left behind
+    const leftovers = (await fs.readdir(testDir)).filter(entry => entry.includes('rollback-project'));
+    expect(leftovers).toEqual([]);
+  });
+
+  // Test that the end of the package manager's error output is shown
+  test('CLI shows the error output of a failed install', async () => {
+    const templateDir = path.join(tempDir, 'noisy-install-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'noisy-install' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'noisy-install',
+      scripts: { preinstall: 'node -e "console.error(\'boom from preinstall\'); process.exit(1)"' }
+    });
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [path.join(rootDir, 'index.mjs'), 'noisy-project', '--yes', '--no-git', '--template', templateDir],
+      inputs: [],
+      cwd: testDir,
+      timeout: 60000,
+      debug: false
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Failed to install dependencies: npm install exited with code 1');
+    expect(result.stderr).toContain('boom from preinstall');
+  });
+
+  // Test that a hanging install is stopped
+  test('CLI stops the install when it times out', async () => {
+    const templateDir = path.join(tempDir, 'hanging-install-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'hanging-install' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'hanging-install',
+      scripts: { preinstall: 'node -e "setTimeout(() => {}, 60000)"' }
+    });
+
+    const result = await testCLITiming({
+      command: 'node',
+      args: [
+        path.join(rootDir, 'index.mjs'), 'hanging-project', '--yes', '--no-git', '--template', templateDir,
+        '--install-timeout', '2'
+      ],
+      inputs: [],
+      cwd: testDir,
+      timeout: 20000,
+      debug: false
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('npm install timed out after 2s');
+    const leftovers = (await fs.readdir(testDir)).filter(entry => entry.includes('hanging-project'));
+    expect(leftovers).toEqual([]);
+  });
+
+  // Test that an interrupted run leaves nothing behind
+  test('CLI rolls back the project when interrupted', async () => {
+    // A template whose install hangs long enough to be interrupted
+    const templateDir = path.join(tempDir, 'slow-install-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'slow-install' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'slow-install',
+      scripts: { preinstall: 'node -e "setTimeout(() => {}, 20000)"' }
+    });
+
+    // Run in its own process group so Ctrl+C can be simulated for the whole group like a terminal does
+    const proc = spawn('node', [
+      path.join(rootDir, 'index.mjs'), 'interrupted-project', '--yes', '--no-git', '--template', templateDir
+    ], { cwd: testDir, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    proc.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+    const exited = new Promise(resolve => proc.on('close', code => resolve(code)));
+
+    // Wait until the install is running in the staging directory
+    const isStaged = async () => (await fs.readdir(testDir)).some(entry => entry.startsWith('.interrupted-project-'));
+    for (let i = 0; i < 50 && !await isStaged(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    process.kill(-proc.pid, 'SIGINT');
+    const code = await exited;
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('Interrupted, removed interrupted-project');
+    const leftovers = (await fs.readdir(testDir)).filter(entry => entry.includes('interrupted-project'));
+    expect(leftovers).toEqual([]);
+  });
+
   // Test that the CLI process can be terminated
   test('CLI handles termination gracefully', async () => {
     // We'll test with a timeout instead of SIGINT, which is less flaky in tests
@@ -0,0 +1,265 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import {
+  AbortError,
+  AnswersError,
+  createProject,
+  DirectoryNotEmptyError,
+  InvalidOptionsError,
+  StepError,
+  TemplateError
+} from '../src/index.mjs';
+
+describe('Programmatic API', () => {
+  let tempDir;
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    tempDir = tmp.dirSync({ unsafeCleanup: true }).name;
+    consoleLogSpy = jest.spyOn(console, 'log');
+    consoleErrorSpy = jest.spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+    if (tempDir) {
+      fs.removeSync(tempDir);
+    }
+  });
+
+  test('Create a project and return what was generated, without logging', async () => {
+    const events = [];
+    const result = await createProject({
+      answers: { name: '@acme/api-cli', description: 'Made by the API' },
+      cwd: tempDir,
+      install: false,
+      git: false,
+      onProgress: event => events.push(event)
+    });
+
+    expect(result.dir).toBe(path.join(tempDir, 'api-cli'));
+    expect((await fs.stat(result.dir)).mode & 0o777).toBe(0o777 & ~process.umask());
+    expect(result.answers).toMatchObject({ name: '@acme/api-cli', title: 'Api cli', license: 'MIT' });
+    expect(result.template).toBe('cli');
+    expect(result.steps).toEqual(['copy template', 'update package.json']);
+    expect(result.warnings).toEqual([]);
+    expect(result.dryRun).toBe(false);
+    expect(result.files.map(file => file.path)).toContain('index.mjs');
+    result.files.forEach(file => expect(fs.existsSync(path.join(result.dir, file.path))).toBe(true));
+
+    const packageJson = await fs.readJson(path.join(result.dir, 'package.json'));
+    expect(packageJson.name).toBe('@acme/api-cli');
+    expect(packageJson.bin).toEqual({ 'api-cli': 'index.mjs' });
+
+    // Progress goes to the callback only
+    expect(events).toContainEqual({ type: 'file', path: 'index.mjs', action: 'render' });
+    expect(events).toContainEqual({
+      type: 'step', step: 'copy template', status: 'started', message: 'Copying the template files'
+    });
+    expect(events).toContainEqual({ type: 'step', step: 'copy template', status: 'finished' });
+    expect(consoleLogSpy).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).not.toHaveBeenCalled();
+  });
+
+  test('Plan a project in dry-run mode without touching disk', async () => {
+    const result = await createProject({ answers: { name: 'planned-cli' }, cwd: tempDir, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.steps).toEqual([
+      'copy template', 'update package.json', 'install dependencies', 'initialize git repository'
+    ]);
+    expect(result.files.length).toBeGreaterThan(0);
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('Throw typed errors', async () => {
+    await expect(createProject({ answers: { name: 'Not Valid' }, cwd: tempDir }))
+      .rejects.toBeInstanceOf(AnswersError);
+    await expect(createProject({ answers: { name: 'unknown-template' }, cwd: tempDir, template: 'does-not-exist' }))
+      .rejects.toBeInstanceOf(TemplateError);
+    await expect(createProject({ answers: { name: 'unknown-manager' }, cwd: tempDir, packageManager: 'npx' }))
+      .rejects.toBeInstanceOf(InvalidOptionsError);
+    const offline = await createProject({
+      answers: { name: 'offline-project' },
+      cwd: tempDir,
+      packageManager: 'bun',
+      offline: true
+    }).catch(caught => caught);
+    expect(offline).toBeInstanceOf(InvalidOptionsError);
+    expect(offline.code).toBe('INVALID_OPTIONS');
+    expect(offline.message).toBe('bun does not support offline installs');
+
+    // The project directory, or one of its parents, is a file
+    await fs.outputFile(path.join(tempDir, 'file-project'), 'Not a directory\n');
+    for (const dir of ['file-project', path.join('file-project', 'nested')]) {
+      const notDirectory = await createProject({ answers: { name: 'file-project' }, cwd: tempDir, dir })
+        .catch(caught => caught);
+      expect(notDirectory).toBeInstanceOf(InvalidOptionsError);
+      expect(notDirectory.message).toBe(`Cannot create the project in ${dir}, file-project is not a directory`);
+    }
+
+    await fs.outputFile(path.join(tempDir, 'taken', 'README.md'), '# Taken\n');
+    const error = await createProject({ answers: { name: 'taken' }, cwd: tempDir, install: false, git: false })
+      .catch(caught => caught);
+    expect(error).toBeInstanceOf(DirectoryNotEmptyError);
+    expect(error.dir).toBe('taken');
+  });
+
+  test('Roll back and throw a StepError when a step fails', async () => {
+    const templateDir = path.join(tempDir, 'broken-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'broken' });
+    // Without a package.json, updating it fails
+    await fs.outputFile(path.join(templateDir, 'index.mjs'), "console.log('broken');\n");
+
+    const error = await createProject({
+      answers: { name: 'broken-project' },
+      cwd: tempDir,
+      template: templateDir,
+      install: false,
+      git: false
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StepError);
+    expect(error.step).toBe('update package.json');
+    expect(fs.existsSync(path.join(tempDir, 'broken-project'))).toBe(false);
+  });
+
+  test('Verify the project with its lint and test scripts', async () => {
+    const templateDir = path.join(tempDir, 'verified-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'verified' });
+    await fs.outputFile(path.join(templateDir, 'index.mjs'), "console.log('verified');\n");
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'verified',
+      version: '1.0.0',
+      scripts: { lint: 'node -e "console.log(\'lint ok\')"' }
+    });
+    const options = {
+      cwd: tempDir,
+      template: templateDir,
+      packageManager: 'npm',
+      git: false,
+      verify: true
+    };
+
+    // Scripts the project does not define are skipped
+    const events = [];
+    const result = await createProject({
+      ...options,
+      answers: { name: 'verified-project' },
+      onProgress: event => events.push(event)
+    });
+    expect(result.steps).toContain('verify project');
+    expect(result.verification).toEqual([
+      { script: 'lint', status: 'passed' },
+      { script: 'test', status: 'skipped' }
+    ]);
+    expect(events).toContainEqual({ type: 'success', message: 'npm run lint passed' });
+
+    // A failing script rolls the project back, with the end of its output
+    const testScript = 'node -e "console.log(\'1 test failed\'); process.exit(1)"';
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'verified',
+      version: '1.0.0',
+      scripts: { lint: 'node -e ""', test: testScript }
+    });
+    const error = await createProject({ ...options, answers: { name: 'broken-project' } }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StepError);
+    expect(error.step).toBe('verify project');
+    expect(error.cause.message).toBe('npm run test exited with code 1');
+    expect(error.cause.output).toContain('> npm run test');
+    expect(error.cause.output).toContain('1 test failed');
+    expect(fs.existsSync(path.join(tempDir, 'broken-project'))).toBe(false);
+  }, 60000);
+
+  test('Escape answers for the language of each rendered file', async () => {
+    const description = 'It\'s "quoted" \\ <b>bold</b> | ${HOME}\non two lines';
+    const result = await createProject({
+      answers: { name: 'escaped-cli', title: 'Tom\'s *CLI*', description },
+      cwd: tempDir,
+      install: false,
+      git: false
+    });
+
+    // The generated entry file is valid JavaScript and its strings keep the values
+    const entryPath = path.join(result.dir, 'index.mjs');
+    execFileSync(process.execPath, ['--check', entryPath]);
+    const [, literal] = /\.description\(('(?:\\.|[^'\\])*')\)/.exec(await fs.readFile(entryPath, 'utf8'));
+    expect(new Function(`return ${literal}`)()).toBe(description);
+    expect((await fs.readJson(path.join(result.dir, 'package.json'))).description).toBe(description);
+
+    const readme = await fs.readFile(path.join(result.dir, 'README.md'), 'utf8');
+    expect(readme).toContain('# Tom\'s \\*CLI\\*');
+    expect(readme).toContain('It\'s "quoted" \\\\ \\<b\\>bold\\</b\\> \\| ${HOME}');
+  });
+
+  test('Throw a TemplateError naming the variable breaking a rendered file', async () => {
+    const templateDir = path.join(tempDir, 'raw-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'raw' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'raw', version: '1.0.0' });
+    await fs.outputFile(path.join(templateDir, 'index.mjs.template'), [
+      'console.log(\'{{title}}\');',
+      'console.log(\'{{{description}}}\');',
+      ''
+    ].join('\n'));
+
+    const error = await createProject({
+      answers: { name: 'raw-cli', title: 'It\'s escaped', description: 'It\'s not' },
+      cwd: tempDir,
+      template: templateDir,
+      install: false,
+      git: false
+    }).catch(error => error);
+
+    expect(error).toBeInstanceOf(StepError);
+    expect(error.step).toBe('copy template');
+    expect(error.cause).toBeInstanceOf(TemplateError);
+    expect(error.cause.message)
+      .toMatch(/^index\.mjs of template raw is not valid JavaScript once rendered: .+ \(line 2\)/);
+    expect(error.cause.message).toContain('The value of "description" breaks it: "It\'s not"');
+    expect(fs.existsSync(path.join(tempDir, 'raw-cli'))).toBe(false);
+  });
+
+  test('Throw a TemplateError when a file name renders outside its directory', async () => {
+    const templateDir = path.join(tempDir, 'named-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'named' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'named', version: '1.0.0' });
+    await fs.outputFile(path.join(templateDir, '{{description}}.txt'), 'Notes\n');
+    await fs.outputFile(path.join(templateDir, '{{name}}.config.mjs'), 'export default {};\n');
+    const options = { cwd: tempDir, template: templateDir, install: false, git: false };
+
+    const escaped = await createProject({ ...options, answers: { name: 'named-cli', description: '../escaped' } })
+      .catch(caught => caught);
+    expect(escaped).toBeInstanceOf(StepError);
+    expect(escaped.cause).toBeInstanceOf(TemplateError);
+    expect(escaped.cause.message).toBe('{{description}}.txt of template named renders to "../escaped.txt", which is '
+      + 'not a file name. The value of "description" breaks it: "../escaped"');
+    expect(fs.existsSync(path.join(tempDir, 'escaped.txt'))).toBe(false);
+
+    const scoped = await createProject({ ...options, answers: { name: '@acme/named-cli', description: 'notes' } })
+      .catch(caught => caught);
+    expect(scoped.cause.message).toContain('The value of "name" breaks it: "@acme/named-cli"');
+    expect(fs.existsSync(path.join(tempDir, 'named-cli'))).toBe(false);
+  });
+
+  test('Roll back and throw an AbortError when aborted', async () => {
+    const controller = new AbortController();
+    const error = await createProject({
+      answers: { name: 'aborted-project' },
+      cwd: tempDir,
+      install: false,
+      git: false,
+      signal: controller.signal,
+      onProgress: event => event.type === 'file' && controller.abort('SIGINT')
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.reason).toBe('SIGINT');
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import chalk from 'chalk';
+import { formatFileDiff, MAX_DIFF_LINES, MAX_DIFF_SIZE } from '../src/utils/diff.mjs';
+
+describe('Conflict diffs', () => {
+  let tempDir;
+  let existing;
+  let generated;
+  const noColor = process.env.NO_COLOR;
+  const colorLevel = chalk.level;
+
+  beforeEach(() => {
+    tempDir = tmp.dirSync({ unsafeCleanup: true }).name;
+    existing = path.join(tempDir, 'existing');
+    generated = path.join(tempDir, 'generated');
+    delete process.env.NO_COLOR;
+  });
+
+  afterEach(() => {
+    chalk.level = colorLevel;
+    if (noColor === undefined) {
+      delete process.env.NO_COLOR;
+    } else {
+      process.env.NO_COLOR = noColor;
+    }
+    fs.removeSync(tempDir);
+  });
+
+  test('Show the changed lines of text files', async () => {
+    await fs.writeFile(existing, 'one\ntwo\nthree\n');
+    await fs.writeFile(generated, 'one\n2\nthree\n');
+
+    // Colour the output as on a terminal
+    chalk.level = 1;
+    const diff = await formatFileDiff(existing, generated);
+    expect(diff).toContain('\u001b[31m- two\u001b[39m');
+    expect(diff).toContain('\u001b[32m+ 2\u001b[39m');
+
+    // NO_COLOR turns the colours off
+    process.env.NO_COLOR = '1';
+    expect(await formatFileDiff(existing, generated)).toBe('  one\n- two\n+ 2\n  three\n  ');
+  });
+
+  test('Report binary, large and linked files without diffing them', async () => {
+    await fs.writeFile(existing, 'text\n');
+
+    await fs.writeFile(generated, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    expect(await formatFileDiff(existing, generated)).toMatch(/binary file differs/);
+
+    await fs.writeFile(generated, 'x'.repeat(MAX_DIFF_SIZE + 1));
+    expect(await formatFileDiff(existing, generated)).toMatch(/file too large to diff/);
+
+    await fs.writeFile(generated, 'line\n'.repeat(MAX_DIFF_LINES));
+    expect(await formatFileDiff(existing, generated)).toMatch(/file too large to diff/);
+
+    // Dangling links are not followed
+    await fs.remove(generated);
+    await fs.symlink(path.join(tempDir, 'missing'), generated);
+    expect(await formatFileDiff(existing, generated)).toMatch(/symbolic link differs/);
+  });
+});
@@ -3,10 +3,11 @@ import fs from 'fs-extra';
 import path from 'path';
 import tmp from 'tmp';
 import { fileURLToPath } from 'url';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 // Helper function to run the CLI generator
 async function runGenerator(targetDir, options = {}) {
@@ -25,13 +26,27 @@ async function runGenerator(targetDir, options = {}) {
   const runOptions = { ...defaultOptions, ...options };
 
   // Build command
-  let command = `node ${binPath} ${runOptions.projectName}`;
+  let command = `node ${binPath} ${runOptions.projectName || ''}`;
   if (runOptions.skipGit) command += ' --no-git';
   if (runOptions.skipInstall) command += ' --no-install';
   if (runOptions.yes) command += ' --yes';
+  if (runOptions.template) command += ` --template ${runOptions.template}`;
+  if (runOptions.dryRun) command += ' --dry-run';
+  if (runOptions.dir) command += ` --dir ${runOptions.dir}`;
+  if (runOptions.config) command += ` --config ${runOptions.config}`;
+  if (runOptions.packageManager) command += ` --package-manager ${runOptions.packageManager}`;
+  for (const pair of runOptions.set || []) command += ` --set '${pair}'`;
+  for (const arg of runOptions.args || []) command += ` ${arg}`;
+
+  // Run as if started by npx, or by the package manager given as user agent
+  const env = {
+    ...process.env,
+    npm_config_user_agent: runOptions.userAgent || 'npm/10.0.0 node/v20.0.0',
+    ...runOptions.env
+  };
 
   // Run command
-  return execPromise(command, { cwd: targetDir, timeout: 10000 });
+  return execPromise(command, { cwd: targetDir, env, timeout: 10000 });
 }
 
 // Get directory paths
@@ -54,26 +69,37 @@ describe('CLI Template Generator End-to-End Tests', () => {
     }
   });
 
-  test('Verify scaffold/index.mjs.template structure', async () => {
+  test('Verify scaffold/cli/index.mjs.template structure', async () => {
     // Read template file
-    const templatePath = path.join(rootDir, 'scaffold', 'index.mjs.template');
+    const templatePath = path.join(rootDir, 'scaffold', 'cli', 'index.mjs.template');
     const templateContent = await fs.readFile(templatePath, 'utf8');
 
     // Verify template has required components
     expect(templateContent).toMatch(/^#!\/usr\/bin\/env node/);
-    expect(templateContent).toContain('export function registerCommands');
+    expect(templateContent).toContain('export async function registerCommands');
     expect(templateContent).toContain('export async function main');
     expect(templateContent).toContain('export async function showMainMenu');
-    expect(templateContent).toContain('export async function helloWorld');
 
     // Verify structure includes the core elements
-    expect(templateContent.includes('command') && templateContent.includes('configure')).toBe(true);
+    expect(templateContent).toContain('for (const command of await loadCommands())');
     expect(templateContent).toContain('if (process.argv.length <= 2)');
-    expect(templateContent).toContain('const action = await input');
+    expect(templateContent).toContain('const action = await select');
+  });
+
+  test('Verify scaffold/cli command modules', async () => {
+    const commandsDir = path.join(rootDir, 'scaffold', 'cli', 'src', 'commands');
+
+    const registry = await fs.readFile(path.join(commandsDir, 'index.mjs'), 'utf8');
+    expect(registry).toContain('export async function loadCommands');
+
+    const configure = await fs.readFile(path.join(commandsDir, 'configure.mjs.template'), 'utf8');
+    expect(configure).toContain('export const name = \'configure\';');
+    expect(configure).toContain('export const description = \'Configure the application\';');
+    expect(configure).toContain('export async function action');
   });
 
   test('Verify package.json has required dependencies', async () => {
-    const packageJsonPath = path.join(rootDir, 'scaffold', 'package.json');
+    const packageJsonPath = path.join(rootDir, 'scaffold', 'cli', 'package.json');
     const packageJson = await fs.readJson(packageJsonPath);
 
     // Verify it has the right dependencies
@@ -142,4 +168,862 @@ describe('CLI Template Generator End-to-End Tests', () => {
       process.env.NODE_ENV = originalEnv;
     }
   });
+  test('Generate a project from a bundled template', async () => {
+    await runGenerator(tempDir, {
+      projectName: 'minimal-cli',
+      yes: true,
+      template: 'minimal'
+    });
+
+    const projectDir = path.join(tempDir, 'minimal-cli');
+    expect(fs.existsSync(path.join(projectDir, 'index.mjs'))).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, 'jest.config.mjs'))).toBe(false);
+
+    // The manifest describes the template and is not copied into the project
+    expect(fs.existsSync(path.join(projectDir, 'template.json'))).toBe(false);
+
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.name).toBe('minimal-cli');
+    expect(packageJson.dependencies).toHaveProperty('commander');
+  });
+
+  test('Generate a TypeScript project pointing bin at the compiled entry', async () => {
+    await runGenerator(tempDir, {
+      projectName: 'typed-cli',
+      yes: true,
+      template: 'cli-ts'
+    });
+
+    const projectDir = path.join(tempDir, 'typed-cli');
+    expect(fs.existsSync(path.join(projectDir, 'tsconfig.json'))).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, 'index.mjs'))).toBe(false);
+
+    const entry = await fs.readFile(path.join(projectDir, 'src', 'index.ts'), 'utf8');
+    expect(entry).toContain('export async function registerCommands(program: Command): Promise<Command>');
+    expect(entry).toContain('export async function main(): Promise<void>');
+
+    const configure = await fs.readFile(path.join(projectDir, 'src', 'commands', 'configure.ts'), 'utf8');
+    expect(configure).toContain('Thank you for using Typed cli');
+
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.bin).toEqual({ 'typed-cli': 'dist/index.js' });
+    expect(packageJson.scripts.build).toContain('tsc');
+    expect(packageJson.devDependencies).toHaveProperty('ts-jest');
+
+    // The README lists the commands of the TypeScript modules
+    const readme = await fs.readFile(path.join(projectDir, 'README.md'), 'utf8');
+    expect(readme).toContain('| `configure` | Configure the application |');
+  });
+
+  test('Generate a project from a local template directory', async () => {
+    const templateDir = path.join(tempDir, 'local-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), {
+      name: 'local',
+      description: 'A local template',
+      variables: ['name', 'title']
+    });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'local', version: '0.1.0' });
+    await fs.outputFile(path.join(templateDir, 'index.mjs.template'), "console.log('{{title}}');\n");
+
+    await runGenerator(tempDir, {
+      projectName: 'local-cli',
+      yes: true,
+      template: templateDir
+    });
+
+    const indexContent = await fs.readFile(path.join(tempDir, 'local-cli', 'index.mjs'), 'utf8');
+    expect(indexContent).toContain("console.log('Local cli');");
+  });
+
+  test('Render templates with the helpers and partials', async () => {
+    const templateDir = path.join(tempDir, 'helper-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'helpers' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'helpers', version: '1.0.0' });
+    await fs.outputFile(path.join(templateDir, '_partials', 'header.hbs'), '// {{title}} (c) {{year}}\n');
+    await fs.outputFile(path.join(templateDir, '_partials', 'js', 'class.hbs'), 'export class {{pascalCase bin}} {}\n');
+    await fs.outputFile(path.join(templateDir, 'index.mjs.template'), [
+      '{{> header}}',
+      '{{> js/class}}',
+      'const {{camelCase bin}} = {{json description}};',
+      "const envName = '{{constantCase bin}}_HOME';",
+      '{{#ifEq license "MIT"}}// MIT licensed{{else}}// Other license{{/ifEq}}',
+      '{{#if (includes bin "helper")}}// Helper CLI{{/if}}',
+      ''
+    ].join('\n'));
+
+    await runGenerator(tempDir, {
+      projectName: '@acme/helper-cli',
+      yes: true,
+      template: templateDir,
+      set: ['description=Says "hello" & more']
+    });
+
+    const projectDir = path.join(tempDir, 'helper-cli');
+    expect(await fs.readFile(path.join(projectDir, 'index.mjs'), 'utf8')).toBe([
+      `// Helper cli (c) ${new Date().getFullYear()}`,
+      'export class HelperCli {}',
+      'const helperCli = "Says \\"hello\\" & more";',
+      "const envName = 'HELPER_CLI_HOME';",
+      '// MIT licensed',
+      '// Helper CLI',
+      ''
+    ].join('\n'));
+
+    // The partials are not part of the project
+    expect(fs.existsSync(path.join(projectDir, '_partials'))).toBe(false);
+  });
+
+  test('Leave out the features that are not selected', async () => {
+    await runGenerator(tempDir, { projectName: 'bare-cli', yes: true, set: ['features=ci,release'] });
+
+    const projectDir = path.join(tempDir, 'bare-cli');
+    for (const file of ['tests', 'jest.config.mjs', 'jest.setup.mjs', 'eslint.config.mjs']) {
+      expect(fs.existsSync(path.join(projectDir, file))).toBe(false);
+    }
+    expect(fs.existsSync(path.join(projectDir, '.github', 'PULL_REQUEST_TEMPLATE.md'))).toBe(true);
+
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(Object.keys(packageJson.scripts)).toEqual(['start']);
+    expect(packageJson.devDependencies).toEqual({});
+    expect(packageJson.dependencies).toHaveProperty('commander');
+    expect(packageJson.name).toBe('bare-cli');
+
+    const workflow = await fs.readFile(path.join(projectDir, '.github', 'workflows', 'test.yml'), 'utf8');
+    expect(workflow).toContain('run: npm install\n');
+    expect(workflow).not.toContain('lint');
+    expect(workflow).not.toContain('run: npm run test');
+    const release = await fs.readFile(path.join(projectDir, '.github', 'workflows', 'release.yml'), 'utf8');
+    expect(release).toContain('run: npm publish --provenance --access public');
+
+    const readme = await fs.readFile(path.join(projectDir, 'README.md'), 'utf8');
+    expect(readme).toContain('| `npm run start` | `node index.mjs` |');
+    expect(readme).not.toContain('npm run lint');
+    expect(readme).toContain('## Releasing');
+
+    // The default features keep the whole template, without the release workflow
+    await runGenerator(tempDir, { projectName: 'full-cli', yes: true });
+    const fullDir = path.join(tempDir, 'full-cli');
+    expect(fs.existsSync(path.join(fullDir, 'tests', 'index.test.mjs'))).toBe(true);
+    expect(fs.existsSync(path.join(fullDir, 'eslint.config.mjs'))).toBe(true);
+    expect(fs.existsSync(path.join(fullDir, '.github', 'workflows', 'release.yml'))).toBe(false);
+    expect((await fs.readJson(path.join(fullDir, 'package.json'))).scripts).toHaveProperty('lint');
+  });
+
+  test('Render file names and include files on conditions of the manifest', async () => {
+    const templateDir = path.join(tempDir, 'named-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), {
+      name: 'named',
+      prompts: [
+        { name: 'docs', type: 'confirm', message: 'Add docs?', default: false },
+        { name: 'notesDir', type: 'input', message: 'Notes directory:', default: '' }
+      ],
+      files: { 'docs/**/*.md': { docs: true } },
+      packageJson: { 'scripts.docs': { docs: true } }
+    });
+    await fs.outputJson(path.join(templateDir, 'package.json'), {
+      name: 'named',
+      version: '1.0.0',
+      scripts: { start: 'node index.mjs', docs: 'node docs.mjs' }
+    });
+    await fs.outputFile(path.join(templateDir, 'index.mjs'), "console.log('named');\n");
+    await fs.outputFile(path.join(templateDir, '{{bin}}.config.mjs.template'), "export default { name: '{{name}}' };\n");
+    await fs.outputFile(path.join(templateDir, '{{notesDir}}', 'notes.txt'), 'Notes\n');
+    await fs.outputFile(path.join(templateDir, 'docs', 'guide', 'intro.md'), '# Intro\n');
+    await fs.outputFile(path.join(templateDir, 'docs', 'docs.txt'), 'Always\n');
+
+    await runGenerator(tempDir, { projectName: '@acme/named-cli', yes: true, template: templateDir });
+    const projectDir = path.join(tempDir, 'named-cli');
+    expect(await fs.readFile(path.join(projectDir, 'named-cli.config.mjs'), 'utf8'))
+      .toBe("export default { name: '@acme/named-cli' };\n");
+    expect(fs.existsSync(path.join(projectDir, 'notes.txt'))).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, 'docs', 'guide'))).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, 'docs', 'docs.txt'))).toBe(true);
+    expect((await fs.readJson(path.join(projectDir, 'package.json'))).scripts).toEqual({ start: 'node index.mjs' });
+
+    await runGenerator(tempDir, {
+      projectName: 'docs-cli', yes: true, template: templateDir, set: ['docs=true', 'notesDir=notes']
+    });
+    const docsDir = path.join(tempDir, 'docs-cli');
+    expect(fs.existsSync(path.join(docsDir, 'notes', 'notes.txt'))).toBe(true);
+    expect(fs.existsSync(path.join(docsDir, 'docs', 'guide', 'intro.md'))).toBe(true);
+    expect((await fs.readJson(path.join(docsDir, 'package.json'))).scripts).toHaveProperty('docs');
+  });
+
+  test('Keep binary files, permissions and symbolic links of the template', async () => {
+    const templateDir = path.join(tempDir, 'assets-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'assets', executables: ['bin/*.mjs'] });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'assets', version: '1.0.0' });
+    await fs.outputFile(path.join(templateDir, 'index.mjs.template'), "console.log('{{name}}');\n");
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x7b, 0x7b, 0x6e, 0x61, 0x6d, 0x65, 0x7d, 0x7d, 0xff]);
+    await fs.outputFile(path.join(templateDir, 'assets', 'logo.png.template'), binary);
+    await fs.outputFile(path.join(templateDir, 'bin', 'setup.sh'), '#!/bin/sh\necho setup\n', { mode: 0o755 });
+    await fs.outputFile(path.join(templateDir, 'bin', 'release.mjs'), "console.log('release');\n");
+    await fs.symlink('bin/setup.sh', path.join(templateDir, 'setup'));
+
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'assets-cli', yes: true, template: templateDir, dryRun: true
+    });
+    expect(stdout).toMatch(/logo\.png \(14 B, copied\)/);
+    expect(stdout).toMatch(/release\.mjs \(\d+ B, copied, executable\)/);
+    expect(stdout).toContain('setup -> bin/setup.sh');
+
+    await runGenerator(tempDir, { projectName: 'assets-cli', yes: true, template: templateDir });
+    const projectDir = path.join(tempDir, 'assets-cli');
+    const isExecutable = async file => Boolean((await fs.stat(path.join(projectDir, file))).mode & 0o100);
+
+    // Binary content is never rendered
+    expect((await fs.readFile(path.join(projectDir, 'assets', 'logo.png'))).equals(binary)).toBe(true);
+    expect(await isExecutable('index.mjs')).toBe(true);
+    expect(await isExecutable('bin/setup.sh')).toBe(true);
+    expect(await isExecutable('bin/release.mjs')).toBe(true);
+    expect(await isExecutable('package.json')).toBe(false);
+    expect(await fs.readlink(path.join(projectDir, 'setup'))).toBe('bin/setup.sh');
+  });
+
+  test('Generate a project from a git repository at a ref and subdirectory', async () => {
+    const workDir = path.join(tempDir, 'templates');
+    const git = args => execPromise(`git -c user.name=Test -c user.email=test@example.com ${args}`, { cwd: workDir });
+    await fs.outputJson(path.join(workDir, 'cli', 'template.json'), { name: 'git-template' });
+    await fs.outputJson(path.join(workDir, 'cli', 'package.json'), { name: 'git-template', version: '1.0.0' });
+    await fs.outputFile(path.join(workDir, 'cli', 'index.mjs.template'), "console.log('v1 {{name}}');\n");
+    await git('init --quiet');
+    await git('add --all');
+    await git('commit --quiet -m v1');
+    await git('tag v1');
+    await fs.outputFile(path.join(workDir, 'cli', 'index.mjs.template'), "console.log('v2 {{name}}');\n");
+    await git('commit --quiet --all -m v2');
+    await execPromise(`git clone --quiet --bare ${workDir} ${path.join(tempDir, 'templates.git')}`);
+
+    const env = { XDG_CACHE_HOME: path.join(tempDir, 'cache') };
+    const repoUrl = `file://${path.join(tempDir, 'templates.git')}`;
+    await runGenerator(tempDir, { projectName: 'git-cli', yes: true, template: `'${repoUrl}#v1:cli'`, env });
+    await runGenerator(tempDir, { projectName: 'latest-cli', yes: true, template: `'${repoUrl}#:cli'`, env });
+
+    expect(await fs.readFile(path.join(tempDir, 'git-cli', 'index.mjs'), 'utf8')).toBe("console.log('v1 git-cli');\n");
+    expect(await fs.readFile(path.join(tempDir, 'latest-cli', 'index.mjs'), 'utf8')).toBe("console.log('v2 latest-cli');\n");
+    expect(fs.existsSync(path.join(tempDir, 'git-cli', '.git'))).toBe(false);
+
+    // A missing ref fails without creating the project
+    const error = await runGenerator(tempDir, {
+      projectName: 'missing-cli',
+      yes: true,
+      template: `'${repoUrl}#v3:cli'`,
+      env
+    }).catch(error => error);
+    expect(error.stderr).toContain(`Could not fetch template ${repoUrl}#v3:cli`);
+    expect(fs.existsSync(path.join(tempDir, 'missing-cli'))).toBe(false);
+  });
+
+  test('Refuse git URLs and refs that git would read as options', async () => {
+    const marker = path.join(tempDir, 'uploaded');
+
+    for (const template of [`git+--upload-pack=touch ${marker}`, 'git+https://example.com/t.git#--orphan']) {
+      const error = await runGenerator(tempDir, { projectName: 'option-cli', yes: true, template: `'${template}'` })
+        .catch(error => error);
+      expect(error.code).toBe(1);
+      expect(error.stderr).toContain(`Template ${template} must not start its URL or ref with "-"`);
+    }
+    expect(fs.existsSync(marker)).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, 'option-cli'))).toBe(false);
+  });
+
+  test('Generate a project from an npm pack tarball', async () => {
+    const templateDir = path.join(tempDir, 'packed-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'packed', description: 'A packed template' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'packed-template', version: '1.2.0' });
+    await fs.outputFile(path.join(templateDir, 'index.mjs.template'), "console.log('packed {{name}}');\n");
+    await execPromise(`npm pack --silent --pack-destination ${tempDir}`, { cwd: templateDir });
+
+    const env = { XDG_CACHE_HOME: path.join(tempDir, 'cache') };
+    await runGenerator(tempDir, { projectName: 'packed-cli', yes: true, template: './packed-template-1.2.0.tgz', env });
+    await runGenerator(tempDir, {
+      projectName: 'npm-cli',
+      yes: true,
+      template: 'npm:./packed-template-1.2.0.tgz',
+      env
+    });
+
+    for (const name of ['packed-cli', 'npm-cli']) {
+      expect(await fs.readFile(path.join(tempDir, name, 'index.mjs'), 'utf8')).toBe(`console.log('packed ${name}');\n`);
+      expect((await fs.readJson(path.join(tempDir, name, 'package.json'))).name).toBe(name);
+      expect(fs.existsSync(path.join(tempDir, name, 'template.json'))).toBe(false);
+    }
+  });
+
+  test('Fail with the available templates when the template is unknown', async () => {
+    const error = await runGenerator(tempDir, {
+      projectName: 'unknown-template-cli',
+      yes: true,
+      template: 'does-not-exist'
+    }).catch(error => error);
+
+    expect(error.code).not.toBe(0);
+    expect(error.stderr).toContain('Unknown template "does-not-exist"');
+    expect(error.stderr).toContain('cli, cli-ts, minimal');
+    expect(fs.existsSync(path.join(tempDir, 'unknown-template-cli'))).toBe(false);
+  });
+  test('Render template prompts declared in a JSON manifest', async () => {
+    const templateDir = path.join(tempDir, 'prompt-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), {
+      name: 'prompt-template',
+      variables: ['configFile', 'useColors'],
+      prompts: [
+        { name: 'configFile', type: 'input', message: 'Config file name:', default: '.{{name}}rc' },
+        { name: 'useColors', type: 'confirm', message: 'Use colours?', default: true },
+        { name: 'theme', type: 'select', message: 'Theme:', choices: ['dark', 'light'], when: { useColors: true } },
+        { name: 'legacy', type: 'input', message: 'Legacy option:', when: { useColors: false } }
+      ]
+    });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'prompt-template' });
+    await fs.outputFile(path.join(templateDir, 'settings.json.template'),
+      '{ "config": "{{configFile}}", "theme": "{{theme}}", "legacy": "{{legacy}}" }\n');
+
+    await runGenerator(tempDir, {
+      projectName: 'prompt-cli',
+      yes: true,
+      template: templateDir
+    });
+
+    const settings = await fs.readJson(path.join(tempDir, 'prompt-cli', 'settings.json'));
+    expect(settings).toEqual({ config: '.prompt-clirc', theme: 'dark', legacy: '' });
+  });
+
+  test('Render template prompts declared in a JS manifest', async () => {
+    const templateDir = path.join(tempDir, 'js-template');
+    await fs.outputFile(path.join(templateDir, 'template.mjs'), `export default {
+  name: 'js-template',
+  prompts: [
+    { name: 'binName', type: 'input', message: 'Binary name:', default: (answers) => answers.name.toUpperCase() }
+  ]
+};
+`);
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'js-template' });
+    await fs.outputFile(path.join(templateDir, 'bin.txt.template'), '{{binName}}\n');
+
+    await runGenerator(tempDir, {
+      projectName: 'js-cli',
+      yes: true,
+      template: templateDir
+    });
+
+    const projectDir = path.join(tempDir, 'js-cli');
+    expect(await fs.readFile(path.join(projectDir, 'bin.txt'), 'utf8')).toBe('JS-CLI\n');
+    expect(fs.existsSync(path.join(projectDir, 'template.mjs'))).toBe(false);
+  });
+
+  test('Fail when a template manifest declares an invalid prompt', async () => {
+    const templateDir = path.join(tempDir, 'invalid-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), {
+      name: 'invalid-template',
+      prompts: [{ name: 'colour', type: 'colour-picker', message: 'Colour:' }]
+    });
+
+    const error = await runGenerator(tempDir, {
+      projectName: 'invalid-cli',
+      yes: true,
+      template: templateDir
+    }).catch(error => error);
+
+    expect(error.code).not.toBe(0);
+    expect(error.stderr).toContain('Prompt "colour" in template.json of invalid-template must have a type of');
+  });
+  test('Print the file plan without touching disk in dry-run mode', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'dry-run-cli',
+      yes: true,
+      skipGit: false,
+      skipInstall: false,
+      dryRun: true,
+      args: ['--verify']
+    });
+
+    // Nothing is written
+    expect(fs.existsSync(path.join(tempDir, 'dry-run-cli'))).toBe(false);
+
+    // The tree lists rendered and copied files with their sizes
+    expect(stdout).toContain('dry-run-cli/');
+    expect(stdout).toMatch(/├── index\.mjs \(\d+(\.\d)? k?B, rendered, executable\)/);
+    expect(stdout).toMatch(/package\.json \(\d+(\.\d)? k?B, copied\)/);
+    expect(stdout).toMatch(/└── workflows\//);
+    expect(stdout).not.toContain('template.json');
+
+    // The git and npm steps that would run are listed
+    expect(stdout).toContain('Initialize git repository: git init');
+    expect(stdout).toContain('Install dependencies: npm install');
+    expect(stdout).toContain('Verify the project: npm run lint, npm run test');
+  });
+
+  test('Emit newline-delimited JSON events with --json', async () => {
+    const { stdout } = await runGenerator(tempDir, { projectName: 'json-cli', args: ['--json'] });
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(events).toContainEqual({
+      type: 'step', step: 'copy template', status: 'started', message: 'Copying the template files'
+    });
+    expect(events).toContainEqual({ type: 'step', step: 'copy template', status: 'finished' });
+    expect(events).toContainEqual({ type: 'file', path: 'index.mjs', action: 'render' });
+    expect(events.at(-1)).toMatchObject({
+      type: 'result',
+      dir: path.join(fs.realpathSync(tempDir), 'json-cli'),
+      name: 'json-cli',
+      template: 'cli',
+      steps: ['copy template', 'update package.json']
+    });
+
+    // Errors are events with a code
+    const error = await runGenerator(tempDir, { projectName: 'json-cli', args: ['--json'] }).catch(error => error);
+    expect(error.code).toBe(1);
+    expect(JSON.parse(error.stdout.trim().split('\n').at(-1))).toMatchObject({
+      type: 'error',
+      code: 'DIRECTORY_NOT_EMPTY'
+    });
+
+    const invalid = await runGenerator(tempDir, {
+      projectName: 'NotValid',
+      args: ['--json']
+    }).catch(error => error);
+    expect(JSON.parse(invalid.stdout.trim().split('\n').at(-1))).toMatchObject({
+      type: 'error',
+      code: 'INVALID_ANSWERS',
+      problems: [expect.stringContaining('name')]
+    });
+  });
+
+  test('Only log warnings and errors with --quiet, without colors', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'quiet-cli',
+      yes: true,
+      args: ['--quiet'],
+      env: { FORCE_COLOR: '1', NO_COLOR: '1' }
+    });
+    expect(fs.existsSync(path.join(tempDir, 'quiet-cli', 'index.mjs'))).toBe(true);
+    expect(stdout).not.toMatch(/^(info|success):/m);
+
+    const error = await runGenerator(tempDir, {
+      projectName: 'quiet-cli',
+      yes: true,
+      args: ['--quiet'],
+      env: { FORCE_COLOR: '1', NO_COLOR: '1' }
+    }).catch(error => error);
+    expect(error.stderr).toContain('error: Directory quiet-cli already exists');
+    expect(error.stderr).not.toContain('\u001b[');
+  });
+
+  test('Generate a scoped package into its unscoped directory', async () => {
+    await runGenerator(tempDir, {
+      projectName: '@acme/tool',
+      yes: true
+    });
+
+    const projectDir = path.join(tempDir, 'tool');
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.name).toBe('@acme/tool');
+    expect(packageJson.bin).toEqual({ tool: 'index.mjs' });
+
+    const indexContent = await fs.readFile(path.join(projectDir, 'index.mjs'), 'utf8');
+    expect(indexContent).toContain('Tool');
+  });
+
+  test('Generate a project into the directory given by --dir', async () => {
+    await runGenerator(tempDir, {
+      projectName: 'dir-cli',
+      yes: true,
+      dir: 'nested/location'
+    });
+
+    expect(fs.existsSync(path.join(tempDir, 'dir-cli'))).toBe(false);
+    const packageJson = await fs.readJson(path.join(tempDir, 'nested', 'location', 'package.json'));
+    expect(packageJson.name).toBe('dir-cli');
+  });
+
+  test('Generate a project into the current directory with --dir .', async () => {
+    const currentDir = path.join(tempDir, 'current');
+    await fs.ensureDir(currentDir);
+
+    const { stdout } = await runGenerator(currentDir, {
+      projectName: 'current-cli',
+      yes: true,
+      dir: '.'
+    });
+
+    expect(fs.existsSync(path.join(currentDir, 'index.mjs'))).toBe(true);
+    expect((await fs.readJson(path.join(currentDir, 'package.json'))).name).toBe('current-cli');
+    expect(stdout).not.toContain('$ cd');
+
+    // Nothing is staged in the parent directory
+    expect(await fs.readdir(tempDir)).toEqual(['current']);
+  });
+
+  test('Reject package names npm does not accept', async () => {
+    for (const projectName of ['Uppercase-Cli', '_private', '@scope', 'fs']) {
+      const error = await runGenerator(tempDir, { projectName, yes: true }).catch(error => error);
+
+      expect(error.code).not.toBe(0);
+      expect(error.stderr).toContain(`name: "${projectName}" is invalid`);
+    }
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+  test('Answer every prompt from a YAML config file', async () => {
+    const configPath = path.join(tempDir, 'answers.yml');
+    await fs.writeFile(configPath, [
+      'name: config-cli',
+      'title: Config CLI',
+      "description: Stamped out by CI, it's non-interactive",
+      'author: CI Bot',
+      'license: ISC',
+      'commandName: run',
+      ''
+    ].join('\n'));
+
+    await runGenerator(tempDir, {
+      projectName: null,
+      template: 'minimal',
+      config: configPath,
+      set: ['author=Release Bot']
+    });
+
+    const projectDir = path.join(tempDir, 'config-cli');
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.description).toBe("Stamped out by CI, it's non-interactive");
+    expect(packageJson.license).toBe('ISC');
+
+    // --set takes precedence over the config file
+    expect(packageJson.author).toBe('Release Bot');
+
+    const indexContent = await fs.readFile(path.join(projectDir, 'index.mjs'), 'utf8');
+    expect(indexContent).toContain(".command('run')");
+  });
+
+  test('Fail with every missing and invalid answer', async () => {
+    const configPath = path.join(tempDir, 'answers.json');
+    await fs.writeJson(configPath, { license: 'WTFPL', colour: 'blue' });
+
+    const error = await runGenerator(tempDir, {
+      projectName: null,
+      template: 'minimal',
+      config: configPath,
+      set: ['commandName=Not Valid']
+    }).catch(error => error);
+
+    expect(error.code).not.toBe(0);
+    expect(error.stderr).toContain('Missing or invalid answers:');
+    expect(error.stderr).toContain('license: "WTFPL" is invalid, must be one of MIT, ISC, Apache-2.0, BSD-2-Clause, BSD-3-Clause, GPL-3.0, MPL-2.0, Unlicense, UNLICENSED');
+    expect(error.stderr).toContain('colour: unknown question');
+    expect(error.stderr).toContain('commandName: "Not Valid" is invalid, Use lowercase letters, digits and hyphens');
+    expect(await fs.readdir(tempDir)).toEqual(['answers.json']);
+  });
+
+  test('Fail when a required answer is missing from the config file', async () => {
+    const configPath = path.join(tempDir, 'answers.json');
+    await fs.writeJson(configPath, { description: 'No name given' });
+
+    const error = await runGenerator(tempDir, {
+      projectName: null,
+      config: configPath
+    }).catch(error => error);
+
+    expect(error.code).not.toBe(0);
+    expect(error.stderr).toContain('name: missing, no answer given');
+  });
+
+  test('Report invalid --set pairs with the INVALID_OPTIONS code', async () => {
+    const error = await runGenerator(tempDir, {
+      projectName: 'set-cli',
+      yes: true,
+      set: ['license'],
+      args: ['--json']
+    }).catch(error => error);
+
+    expect(error.code).toBe(1);
+    expect(error.stdout.trim().split('\n').map(line => JSON.parse(line))).toContainEqual({
+      type: 'error',
+      code: 'INVALID_OPTIONS',
+      message: 'Failed to create project: Invalid --set "license", expected key=value'
+    });
+  });
+
+  test('Use the package manager running the generator', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'pnpm-cli',
+      yes: true,
+      userAgent: 'pnpm/9.1.0 npm/? node/v20.0.0 linux x64'
+    });
+
+    expect(stdout).toContain('$ pnpm link --global   # To make the CLI available globally');
+    expect(stdout).toContain('$ pnpm start           # To run the CLI');
+
+    // Without a lockfile CI installs without freezing it and without a dependency cache
+    const workflow = await fs.readFile(path.join(tempDir, 'pnpm-cli', '.github', 'workflows', 'test.yml'), 'utf8');
+    expect(workflow).toContain('uses: pnpm/action-setup@v4');
+    expect(workflow).toContain('version: 9.1.0');
+    expect(workflow).toContain('node-version: ${{ matrix.node-version }}');
+    expect(workflow).toContain('run: pnpm install\n');
+    expect(workflow).toContain('run: pnpm run test');
+    expect(workflow).not.toContain('cache:');
+  });
+
+  test('Choose the package manager with --package-manager', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'yarn-cli',
+      yes: true,
+      skipInstall: false,
+      dryRun: true,
+      packageManager: 'yarn',
+      userAgent: 'pnpm/9.1.0 npm/? node/v20.0.0 linux x64'
+    });
+
+    expect(stdout).toContain('Install dependencies: yarn install');
+  });
+
+  test('Use npm when started by npx', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'npm-cli',
+      yes: true
+    });
+
+    expect(stdout).toContain('$ npm link    # To make the CLI available globally');
+    expect(stdout).toContain('$ npm start   # To run the CLI');
+
+    const workflow = await fs.readFile(path.join(tempDir, 'npm-cli', '.github', 'workflows', 'test.yml'), 'utf8');
+    expect(workflow).not.toContain('action-setup');
+    expect(workflow).toContain('run: npm install\n');
+  });
+
+  test('Pass the offline options to the install command', async () => {
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'offline-cli',
+      yes: true,
+      skipInstall: false,
+      dryRun: true,
+      args: ['--offline', '--cache-dir', 'vendor-cache']
+    });
+
+    expect(stdout).toContain(`Install dependencies: npm install --offline --cache ${path.join(tempDir, 'vendor-cache')}`);
+  });
+
+  test('Fail before prompting when the package manager cannot install offline', async () => {
+    await expect(runGenerator(tempDir, {
+      projectName: 'offline-cli',
+      yes: true,
+      skipInstall: false,
+      packageManager: 'bun',
+      args: ['--offline']
+    })).rejects.toMatchObject({ stderr: expect.stringContaining('bun does not support offline installs') });
+
+    expect(fs.existsSync(path.join(tempDir, 'offline-cli'))).toBe(false);
+  });
+
+  test('Warm the cache of a template and install from it offline', async () => {
+    const templateDir = path.join(tempDir, 'offline-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'offline' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'offline', dependencies: {} });
+    const binPath = path.join(__dirname, '..', 'index.mjs');
+
+    const { stdout } = await execPromise(`node ${binPath} cache warm --template ${templateDir} --cache-dir cache`, {
+      cwd: tempDir,
+      timeout: 30000
+    });
+    expect(stdout).toContain(`Cached the dependencies of offline in ${path.join(tempDir, 'cache')}`);
+
+    await runGenerator(tempDir, {
+      projectName: 'offline-cli',
+      yes: true,
+      skipInstall: false,
+      template: templateDir,
+      args: ['--offline', '--cache-dir', 'cache']
+    });
+
+    expect(fs.existsSync(path.join(tempDir, 'offline-cli', 'package-lock.json'))).toBe(true);
+  });
+
+  test('Commit the generated project on the initial branch with the origin remote', async () => {
+    // The author and email of the initial commit come from the user defaults
+    await fs.writeJson(path.join(tempDir, '.create-cli-templaterc'), { author: 'Jane Doe', email: 'jane@example.com' });
+
+    await runGenerator(tempDir, {
+      projectName: 'git-cli',
+      yes: true,
+      skipGit: false,
+      env: { HOME: tempDir },
+      args: ['--initial-branch', 'trunk', '--remote', 'https://example.com/git-cli.git', '--commit-message', '"Scaffold CLI"']
+    });
+
+    const git = async (command) => (await execPromise(`git ${command}`, { cwd: path.join(tempDir, 'git-cli') })).stdout.trim();
+    expect(await git('log --format="%an <%ae> %s"')).toBe('Jane Doe <jane@example.com> Scaffold CLI');
+    expect(await git('branch --show-current')).toBe('trunk');
+    expect(await git('remote get-url origin')).toBe('https://example.com/git-cli.git');
+    expect(await git('status --porcelain')).toBe('');
+  });
+
+  test('Skip git initialization inside an existing repository', async () => {
+    await execPromise('git init', { cwd: tempDir });
+
+    const { stdout } = await runGenerator(tempDir, {
+      projectName: 'nested-cli',
+      yes: true,
+      skipGit: false
+    });
+
+    expect(stdout).toContain('The project is inside a git repository, skipped git initialization');
+    expect(fs.existsSync(path.join(tempDir, 'nested-cli', '.git'))).toBe(false);
+  });
+
+  test('Generate the LICENSE of the chosen license', async () => {
+    await fs.writeJson(path.join(tempDir, '.create-cli-templaterc'), { email: 'jane@example.com' });
+
+    await runGenerator(tempDir, {
+      projectName: 'licensed-cli',
+      yes: true,
+      env: { HOME: tempDir },
+      set: ['author=Jane & Co', 'license=BSD-3-Clause']
+    });
+
+    const license = await fs.readFile(path.join(tempDir, 'licensed-cli', 'LICENSE'), 'utf8');
+    expect(license).toContain('BSD 3-Clause License');
+    expect(license).toContain(`Copyright (c) ${new Date().getFullYear()}, Jane & Co <jane@example.com>`);
+  });
+
+  test('Fill in the copyright notices of the Apache and GPL licenses', async () => {
+    const year = new Date().getFullYear();
+    const notices = {
+      'Apache-2.0': [`Copyright ${year} Jane Doe`],
+      'GPL-3.0': [
+        'noticed-gpl-3.0: Prints notices',
+        `Copyright (C) ${year}  Jane Doe`,
+        `noticed-gpl-3.0  Copyright (C) ${year}  Jane Doe`
+      ]
+    };
+
+    for (const [spdx, lines] of Object.entries(notices)) {
+      const projectName = `noticed-${spdx.toLowerCase()}`;
+      await runGenerator(tempDir, {
+        projectName,
+        yes: true,
+        set: ['author=Jane Doe', 'description=Prints notices', `license=${spdx}`]
+      });
+
+      const license = await fs.readFile(path.join(tempDir, projectName, 'LICENSE'), 'utf8');
+      lines.forEach(line => expect(license).toContain(`${line}\n`));
+      expect(license).not.toMatch(/\[yyyy\]|\[name of copyright owner\]|<year>|<name of author>|<program>/);
+    }
+  });
+
+  test('Mark proprietary projects as private', async () => {
+    await runGenerator(tempDir, {
+      projectName: 'proprietary-cli',
+      yes: true,
+      set: ['author=Acme', 'license=UNLICENSED']
+    });
+
+    const projectDir = path.join(tempDir, 'proprietary-cli');
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.license).toBe('UNLICENSED');
+    expect(packageJson.private).toBe(true);
+    expect(await fs.readFile(path.join(projectDir, 'LICENSE'), 'utf8')).toContain('Acme. All rights reserved.');
+  });
+
+  test('Keep the LICENSE of a template that has one', async () => {
+    const templateDir = path.join(tempDir, 'licensed-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), { name: 'licensed' });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'licensed' });
+    await fs.outputFile(path.join(templateDir, 'LICENSE'), 'Custom license\n');
+
+    await runGenerator(tempDir, {
+      projectName: 'custom-license-cli',
+      yes: true,
+      template: templateDir
+    });
+
+    expect(await fs.readFile(path.join(tempDir, 'custom-license-cli', 'LICENSE'), 'utf8')).toBe('Custom license\n');
+  });
+
+  test('Document the generated project in its README', async () => {
+    await runGenerator(tempDir, {
+      projectName: '@acme/documented',
+      yes: true,
+      packageManager: 'yarn',
+      set: ['description=Does useful things']
+    });
+
+    const readme = await fs.readFile(path.join(tempDir, 'documented', 'README.md'), 'utf8');
+    expect(readme).toMatch(/^# Documented\n\nDoes useful things\n/);
+    expect(readme).toContain('yarn global add @acme/documented');
+
+    // Commands come from the command modules and scripts from package.json
+    expect(readme).toContain('documented configure\n');
+    expect(readme).toContain('| `configure` | Configure the application |');
+    expect(readme).toContain('| `yarn run lint` | `eslint .` |');
+    expect(readme).toContain('| `yarn run test:all` | `node --experimental-vm-modules node_modules/jest/bin/jest.js --testTimeout=10000` |');
+  });
+
+  test('Add a command to a generated project', async () => {
+    await runGenerator(tempDir, { projectName: 'growing-cli', yes: true });
+    const projectDir = path.join(tempDir, 'growing-cli');
+    const binPath = path.join(__dirname, '..', 'index.mjs');
+
+    const { stdout } = await execPromise(`node ${binPath} add command deploy-app --description "Deploy the app's build"`, {
+      cwd: projectDir,
+      timeout: 10000
+    });
+    expect(stdout).toContain('Added the deploy-app command');
+
+    const commandModule = await fs.readFile(path.join(projectDir, 'src', 'commands', 'deploy-app.mjs'), 'utf8');
+    expect(commandModule).toContain('export const name = \'deploy-app\';');
+    expect(commandModule).toContain('export const description = \'Deploy the app\\\'s build\';');
+    expect(commandModule).toContain('export async function action()');
+
+    const testFile = await fs.readFile(path.join(projectDir, 'tests', 'deploy-app.test.mjs'), 'utf8');
+    expect(testFile).toContain('function testCLITiming(');
+    expect(testFile).toContain('expect(helpResult.stdout).toContain(\'Deploy the app\\\'s build\');');
+
+    // The command registry loads the module, index.mjs is left as generated
+    const indexContent = await fs.readFile(path.join(projectDir, 'index.mjs'), 'utf8');
+    expect(indexContent).not.toContain('deploy-app');
+
+    // A command cannot be added twice
+    await expect(execPromise(`node ${binPath} add command deploy-app`, { cwd: projectDir, timeout: 10000 }))
+      .rejects.toMatchObject({ stderr: expect.stringContaining('Command "deploy-app" already exists') });
+  });
+
+  test('Add a command with a multi-line description', async () => {
+    await runGenerator(tempDir, { projectName: 'growing-cli', yes: true });
+    const projectDir = path.join(tempDir, 'growing-cli');
+    const binPath = path.join(__dirname, '..', 'index.mjs');
+    const description = 'Deploy the app\'s build\nthen tag it */ with "${VERSION}"';
+
+    await execFilePromise(process.execPath, [binPath, 'add', 'command', 'release', '--description', description], {
+      cwd: projectDir,
+      timeout: 10000
+    });
+
+    // The module is valid JavaScript, keeps the description and its JSDoc comment is not ended early
+    const modulePath = path.join(projectDir, 'src', 'commands', 'release.mjs');
+    await execFilePromise(process.execPath, ['--check', modulePath]);
+    const commandModule = await fs.readFile(modulePath, 'utf8');
+    expect(commandModule).toContain('/**\n * Deploy the app\'s build\n * then tag it *\\/ with "${VERSION}"\n */');
+    const [, literal] = /export const description = ('.*');/.exec(commandModule);
+    expect(new Function(`return ${literal}`)()).toBe(description);
+
+    // Only the first line is looked up in the help
+    const testFile = await fs.readFile(path.join(projectDir, 'tests', 'release.test.mjs'), 'utf8');
+    expect(testFile).toContain('expect(helpResult.stdout).toContain(\'Deploy the app\\\'s build\');');
+  });
+
+  test('Refuse to add a command outside a generated project', async () => {
+    const binPath = path.join(__dirname, '..', 'index.mjs');
+
+    await expect(execPromise(`node ${binPath} add command deploy`, { cwd: tempDir, timeout: 10000 }))
+      .rejects.toMatchObject({ stderr: expect.stringContaining('No command registry found') });
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+
+  test('Refuse to add a command to a TypeScript project', async () => {
+    const binPath = path.join(__dirname, '..', 'index.mjs');
+    await runGenerator(tempDir, { projectName: 'typed-cli', yes: true, template: 'cli-ts' });
+    const projectDir = path.join(tempDir, 'typed-cli');
+
+    await expect(execPromise(`node ${binPath} add command deploy`, { cwd: projectDir, timeout: 10000 }))
+      .rejects.toMatchObject({ stderr: expect.stringContaining('only supports projects of the cli template') });
+    expect(fs.existsSync(path.join(projectDir, 'src', 'commands', 'deploy.mjs'))).toBe(false);
+  });
 });
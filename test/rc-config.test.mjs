@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execPromise = promisify(exec);
+
+// Get directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const binPath = path.join(__dirname, '..', 'index.mjs');
+
+describe('User defaults in the rc file', () => {
+  let tempDir;
+
+  // Runs the CLI with the temp directory as home, so the rc file is written there
+  const run = (args) => execPromise(`node ${binPath} ${args}`, {
+    cwd: tempDir,
+    env: { ...process.env, HOME: tempDir },
+    timeout: 10000
+  });
+
+  beforeEach(() => {
+    tempDir = tmp.dirSync({ unsafeCleanup: true }).name;
+  });
+
+  afterEach(() => {
+    if (tempDir) {
+      fs.removeSync(tempDir);
+    }
+  });
+
+  test('Set, get, list and unset defaults', async () => {
+    await run('config set author "Jane Doe"');
+    await run('config set install false');
+
+    expect(await fs.readJson(path.join(tempDir, '.create-cli-templaterc'))).toEqual({
+      author: 'Jane Doe',
+      install: false
+    });
+
+    const { stdout: author } = await run('config get author');
+    expect(author.trim()).toBe('Jane Doe');
+
+    const { stdout: list } = await run('config list');
+    expect(list).toBe('author=Jane Doe\ninstall=false\n');
+
+    await run('config unset author');
+    await expect(run('config get author')).rejects.toMatchObject({ code: 1 });
+  });
+
+  test('Reject unknown keys and invalid values', async () => {
+    await expect(run('config set colour blue')).rejects.toMatchObject({
+      stderr: expect.stringContaining('Unknown config key "colour"')
+    });
+    await expect(run('config set license WTFPL')).rejects.toMatchObject({
+      stderr: expect.stringContaining('Config key "license" must be one of MIT, ISC, Apache-2.0, BSD-2-Clause, BSD-3-Clause, GPL-3.0, MPL-2.0, Unlicense, UNLICENSED')
+    });
+    await expect(run('config set git maybe')).rejects.toMatchObject({
+      stderr: expect.stringContaining('Config key "git" must be true or false')
+    });
+    expect(fs.existsSync(path.join(tempDir, '.create-cli-templaterc'))).toBe(false);
+  });
+
+  test('Use the stored defaults when creating a project', async () => {
+    await fs.writeJson(path.join(tempDir, '.create-cli-templaterc'), {
+      author: 'Jane Doe',
+      license: 'ISC',
+      template: 'minimal',
+      git: false,
+      install: false
+    });
+
+    await run('rc-app --yes');
+
+    const projectDir = path.join(tempDir, 'rc-app');
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.author).toBe('Jane Doe');
+    expect(packageJson.license).toBe('ISC');
+    expect(fs.existsSync(path.join(projectDir, 'index.mjs'))).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, 'eslint.config.mjs'))).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, '.git'))).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, 'node_modules'))).toBe(false);
+  });
+
+  test('Command line options and answers take precedence over the stored defaults', async () => {
+    await fs.writeJson(path.join(tempDir, '.create-cli-templaterc'), {
+      license: 'ISC',
+      template: 'minimal'
+    });
+
+    await run('rc-app --yes --template cli --set license=MIT --no-git --no-install');
+
+    const projectDir = path.join(tempDir, 'rc-app');
+    const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(packageJson.license).toBe('MIT');
+    expect(fs.existsSync(path.join(projectDir, 'eslint.config.mjs'))).toBe(true);
+  });
+
+  test('Report an invalid rc file', async () => {
+    await fs.writeFile(path.join(tempDir, '.create-cli-templaterc'), '{ not json');
+
+    const rcPath = path.join(tempDir, '.create-cli-templaterc');
+    let parseError;
+    try {
+      JSON.parse('{ not json');
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    await expect(run('rc-app --yes --no-git --no-install')).rejects.toMatchObject({
+      code: 1,
+      stderr: `error: Invalid ${rcPath}: ${parseError}\n`
+    });
+
+    // --json runs report it as an error event
+    await expect(run('rc-app --json --no-git --no-install')).rejects.toMatchObject({
+      code: 1,
+      stdout: `${JSON.stringify({ type: 'error', code: 'ERROR', message: `Invalid ${rcPath}: ${parseError}` })}\n`
+    });
+  });
+});
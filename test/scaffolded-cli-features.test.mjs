@@ -118,6 +118,7 @@ describe('Scaffolded CLI Application Features', () => {
       'A CLI for testing features', // Description
       'Test Author',             // Author
       '',                        // License (default)
+      '',                        // Features (default)
     ];
 
     console.log('Creating a CLI application for feature testing...');
@@ -292,9 +293,13 @@ describe('Scaffolded CLI Application Features', () => {
     expect(indexContent).toContain('A CLI for testing features');
 
     // Verify the correct structure of the CLI
-    expect(indexContent).toContain('export function registerCommands');
+    expect(indexContent).toContain('export async function registerCommands');
     expect(indexContent).toContain('export async function main');
     expect(indexContent).toContain('export async function showMainMenu');
-    expect(indexContent).toContain('export async function helloWorld');
+
+    // The configure command lives in its own module
+    const configureContent = await fs.readFile(path.join(scaffoldedDir, 'src', 'commands', 'configure.mjs'), 'utf8');
+    expect(configureContent).toContain('Thank you for using Feature Test CLI');
+    expect(configureContent).not.toContain('{{');
   });
 });